@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runCli } from '../lib/cli.js';
+
+// Entry point for `scrape` (see lib/cli.js or `scrape --help`), e.g.
+//
+//   scrape bulk --config scrape.config.example.json --headed --dry-run
+
+const APP_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Same .env as the server; variables already set win. process.loadEnvFile
+// arrived in Node 20.12.
+const envFile = path.join(process.cwd(), '.env');
+if (fs.existsSync(envFile)) {
+  if (typeof process.loadEnvFile === 'function') {
+    process.loadEnvFile(envFile);
+  } else {
+    console.warn(`⚠️ Node ${process.version} cannot load ${envFile}; export its variables or use Node 20.12+`);
+  }
+}
+
+process.exitCode = await runCli(process.argv.slice(2), { appDir: APP_DIR });
@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import { processTreeRssMb } from './core/browser-pool.js';
+
+// ============================================================================
+// ADMISSION CONTROL
+// ============================================================================
+//
+// Keeps concurrent scrapes and bulk runs within what the instance can hold:
+//
+//   work limiter   at most `maxActive` scrapes/runs at once; up to `maxQueued`
+//                  more wait their turn for `queueTimeoutMs`, the rest are
+//                  turned away
+//   memory guard   turns work away while Node plus its browsers use more than
+//                  `limitMb` of resident memory
+//
+// Rejections are errors with status 429 and `retryAfter` (seconds) for the
+// Retry-After header.
+
+export function busyError(message, retryAfter) {
+  return Object.assign(new Error(message), { status: 429, retryAfter });
+}
+
+export function createWorkLimiter({ maxActive, maxQueued, queueTimeoutMs, retryAfter }) {
+  let active = 0;
+  const waiting = [];
+  const counters = { admitted: 0, rejected: 0, timed_out: 0 };
+
+  function grant() {
+    active++;
+    counters.admitted++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active--;
+      const next = waiting.shift();
+      if (next) next.admit();
+    };
+  }
+
+  // Resolves with a release() function. `bounded: false` skips the queue
+  // limit and timeout, for work that has already been queued elsewhere.
+  // Aborting `signal` gives up the place in the queue and rejects.
+  function acquire({ bounded = true, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (active < maxActive && waiting.length === 0) {
+      return Promise.resolve(grant());
+    }
+    if (bounded && waiting.length >= maxQueued) {
+      counters.rejected++;
+      return Promise.reject(busyError(`Too busy: ${active} running, ${waiting.length} waiting`, retryAfter));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(waiter.timer);
+        waiting.splice(waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      const waiter = {
+        admit: () => {
+          clearTimeout(waiter.timer);
+          signal?.removeEventListener('abort', onAbort);
+          resolve(grant());
+        }
+      };
+      if (bounded) {
+        waiter.timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          signal?.removeEventListener('abort', onAbort);
+          counters.timed_out++;
+          reject(busyError(`Too busy: waited ${queueTimeoutMs / 1000}s for a free slot`, retryAfter));
+        }, queueTimeoutMs);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiting.push(waiter);
+    });
+  }
+
+  function stats() {
+    return { max_active: maxActive, max_queued: maxQueued, active, waiting: waiting.length, ...counters };
+  }
+
+  return { acquire, stats };
+}
+
+// cgroup v2 (or v1) memory limit of this container in MB, null if unlimited
+export async function cgroupMemoryLimitMb() {
+  for (const file of ['/sys/fs/cgroup/memory.max', '/sys/fs/cgroup/memory/memory.limit_in_bytes']) {
+    try {
+      const bytes = Number((await fs.readFile(file, 'utf8')).trim());
+      // v1 reports "unlimited" as a huge number
+      if (Number.isFinite(bytes) && bytes < 2 ** 50) return Math.floor(bytes / 1024 / 1024);
+      return null;
+    } catch {}
+  }
+  return null;
+}
+
+// `limitMb` 0 or null disables the guard. Measurements are cached for
+// `cacheMs` since each one walks /proc.
+export function createMemoryGuard({
+  limitMb,
+  retryAfter,
+  cacheMs = 1000,
+  measure = () => processTreeRssMb(process.pid)
+}) {
+  let last = { at: 0, rssMb: null };
+
+  async function rssMb() {
+    if (Date.now() - last.at >= cacheMs) {
+      last = { at: Date.now(), rssMb: await measure() };
+    }
+    return last.rssMb;
+  }
+
+  // Throws a 429 error when over the limit
+  async function check() {
+    if (!limitMb) return;
+    const current = await rssMb();
+    if (current !== null && current > limitMb) {
+      throw busyError(`Memory too high: ${current}MB in use, limit ${limitMb}MB`, retryAfter);
+    }
+  }
+
+  async function stats() {
+    return { limit_mb: limitMb || null, rss_mb: await rssMb() };
+  }
+
+  return { check, stats };
+}
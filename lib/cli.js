@@ -0,0 +1,530 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { format, parseArgs } from 'util';
+import { DEFAULT_PROVIDER, allProviders, getProvider } from './providers/index.js';
+import { createSelectorProfiles } from './selector-profiles.js';
+import { createSeenJobs } from './seen-jobs.js';
+import { createGeoLookup } from './geo.js';
+import { createFixtureStore } from './fixtures.js';
+import { buildRequestSchemas } from './request-schemas.js';
+import { createFileSink, sinkRegistryFromEnv } from './sinks/index.js';
+import { createBulkParams, createRunState, createScraperCore, scrapeConfigFromEnv } from './core/index.js';
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+//
+// `scrape bulk|job|replay` on the same core as the server (lib/core). Bulk
+// parameters come from flags and/or a JSON config file with the same fields
+// as a POST /bulk-scrape body; flags win. Configuration otherwise comes from
+// the same environment variables as the server.
+
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1,   // nothing worked: fatal error, every pair or delivery failed
+  usage: 2,    // bad flags or config
+  partial: 3   // finished, but some pairs or deliveries failed
+};
+
+export const USAGE = `Usage:
+  scrape bulk [options]            keyword × location search run
+  scrape job <url> [options]       one job detail page
+  scrape replay <file>... [options]
+                                   deliver jobs saved by --output, the file sink
+                                   or the stdout sink (NDJSON or a JSON array)
+
+Bulk options:
+  -c, --config <file>      JSON with POST /bulk-scrape fields (keywords, locations, ...)
+  -k, --keyword <text>     keyword to search (repeatable; replaces the config's keywords)
+  -l, --location <name>    location name or name=geoId (repeatable; replaces the config's locations)
+      --provider <name>    job board (default ${DEFAULT_PROVIDER})
+      --time-filter <r..>  LinkedIn f_TPR value, e.g. r86400
+      --max-jobs <n>       per keyword/location pair
+      --max-pages <n>      result batches per pair
+      --concurrency <n>    pages in parallel
+      --enrich             visit detail pages for descriptions
+      --max-enrich <n>     detail pages per run
+      --force              send jobs even if sent within the seen-jobs TTL
+
+Job options:
+      --user-id <id>       user_id sent with the job
+
+Common options:
+  -s, --sink <name>        deliver to this sink (repeatable; default DEFAULT_SINKS or supabase)
+  -o, --output <file>      write jobs to this file (.ndjson or .csv) instead of the default sinks
+      --dry-run            scrape but deliver nothing; jobs are printed with the result
+      --headed             show the browser window
+      --fixtures [dir]     serve pages from saved fixtures instead of the live site
+      --json               progress and result as JSON lines on stdout
+  -h, --help
+
+Exit codes: 0 ok, 1 failed, 2 bad usage, 3 partial failure`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  keyword: { type: 'string', short: 'k', multiple: true },
+  location: { type: 'string', short: 'l', multiple: true },
+  provider: { type: 'string' },
+  'time-filter': { type: 'string' },
+  'max-jobs': { type: 'string' },
+  'max-pages': { type: 'string' },
+  concurrency: { type: 'string' },
+  enrich: { type: 'boolean' },
+  'max-enrich': { type: 'string' },
+  force: { type: 'boolean' },
+  'user-id': { type: 'string' },
+  sink: { type: 'string', short: 's', multiple: true },
+  output: { type: 'string', short: 'o' },
+  'dry-run': { type: 'boolean', default: false },
+  headed: { type: 'boolean', default: false },
+  fixtures: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const INTEGER_FLAGS = {
+  'max-jobs': 'maxJobs',
+  'max-pages': 'maxPages',
+  concurrency: 'concurrency',
+  'max-enrich': 'maxEnrich'
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.status = EXIT_CODES.usage;
+  return error;
+}
+
+// Accept `--fixtures` without a value by treating it as "use the default dir"
+function expandBareFixtures(argv) {
+  return argv.flatMap((arg, index) => {
+    const next = argv[index + 1];
+    if (arg === '--fixtures' && (next === undefined || next.startsWith('-'))) {
+      return ['--fixtures', ''];
+    }
+    return [arg];
+  });
+}
+
+// { command, args, options } or throws with status EXIT_CODES.usage
+export function parseCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: expandBareFixtures(argv), options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help) return { command: 'help', args, options };
+
+  if (command === 'bulk' && args.length > 0) {
+    throw usageError(`Unexpected argument: ${args[0]}`);
+  }
+  if (command === 'job' && args.length !== 1) {
+    throw usageError('scrape job takes exactly one job URL');
+  }
+  if (command === 'replay' && args.length === 0) {
+    throw usageError('scrape replay needs at least one file');
+  }
+  if (!['bulk', 'job', 'replay'].includes(command)) {
+    throw usageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+
+  for (const flag of Object.keys(INTEGER_FLAGS)) {
+    if (options[flag] !== undefined && !/^\d+$/.test(options[flag])) {
+      throw usageError(`--${flag} must be a whole number`);
+    }
+  }
+
+  return { command, args, options };
+}
+
+// "Berlin" or "Berlin=106967730" -> a locations entry
+export function parseLocationFlag(value) {
+  const match = value.match(/^(.+?)=(\d+)$/);
+  return match ? [match[1].trim(), match[2]] : value.trim();
+}
+
+// Bulk parameters from the config file contents (or {}) with flags on top
+export function bulkParamsFromCli(options, fileConfig = {}) {
+  const params = { ...fileConfig };
+
+  if (options.keyword) params.keywords = options.keyword;
+  if (options.location) params.locations = options.location.map(parseLocationFlag);
+  if (options.provider) params.provider = options.provider;
+  if (options['time-filter']) params.timeFilter = options['time-filter'];
+  for (const [flag, key] of Object.entries(INTEGER_FLAGS)) {
+    if (options[flag] !== undefined) params[key] = Number(options[flag]);
+  }
+  if (options.enrich) params.enrich = true;
+  if (options.force) params.forceIngest = true;
+
+  const sinks = cliSinks(options, params.sinks);
+  if (sinks) params.sinks = sinks;
+
+  return params;
+}
+
+// --sink replaces the configured sinks; --output adds the file sink (alone
+// unless sinks were named explicitly)
+function cliSinks(options, configured) {
+  const named = options.sink || (options.output ? [] : configured);
+  if (!options.output) return named;
+  return [...new Set([...(named || []), 'file'])];
+}
+
+async function readConfigFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw usageError(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+  try {
+    const config = JSON.parse(text);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('expected a JSON object');
+    }
+    return config;
+  } catch (error) {
+    throw usageError(`Invalid config file ${filePath}: ${error.message}`);
+  }
+}
+
+// Jobs from NDJSON or JSON-array files. Lines written by the stdout sink
+// ({ kind, context, job }) keep their kind; bare jobs are search cards
+// ('bulk') if they have a job_id and detail pages ('job') otherwise.
+export async function readJobFiles(files) {
+  const records = [];
+
+  for (const file of files) {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      throw usageError(`Cannot read ${file}: ${error.message}`);
+    }
+
+    let entries;
+    try {
+      entries = text.trimStart().startsWith('[')
+        ? JSON.parse(text)
+        : text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (error) {
+      throw usageError(`${file} is not NDJSON or a JSON array: ${error.message}`);
+    }
+
+    for (const entry of entries) {
+      const job = entry.job && typeof entry.job === 'object' ? entry.job : entry;
+      const kind = entry.kind || (job.job_id ? 'bulk' : 'job');
+      records.push({ kind, job, context: entry.context || { replayed_from: path.basename(file) } });
+    }
+  }
+
+  return records;
+}
+
+// Exit code for a finished bulk run
+export function bulkExitCode(run) {
+  const { pairs } = run.progress;
+  if (pairs.length > 0 && pairs.every(pair => pair.status === 'failed')) return EXIT_CODES.failed;
+  return run.errors.length > 0 ? EXIT_CODES.partial : EXIT_CODES.ok;
+}
+
+// Exit code for delivery results ({ sink: { status } } per batch)
+export function deliveryExitCode(resultsList) {
+  const statuses = resultsList.flatMap(results => Object.values(results).map(({ status }) => status));
+  const failed = statuses.filter(status => status === 'failed').length;
+  if (failed === 0) return EXIT_CODES.ok;
+  return failed === statuses.length ? EXIT_CODES.failed : EXIT_CODES.partial;
+}
+
+// Console-like logger for the scraper's own log lines, written to `stream`
+function createLogger(stream) {
+  const write = (...args) => stream.write(`${format(...args)}\n`);
+  return { log: write, info: write, warn: write, error: write };
+}
+
+// Progress output: JSON lines, or one short line per pair for people. The
+// core's own logs go to stderr (see runCli) so stdout stays parseable.
+function createReporter({ json, stdout }) {
+  function emit(event) {
+    stdout.write(`${JSON.stringify(event)}\n`);
+  }
+
+  function human(line) {
+    stdout.write(`${line}\n`);
+  }
+
+  return {
+    json,
+    progress({ type, pair, ...details }, run) {
+      if (json) {
+        emit({ event: type, completed_pairs: run.progress.completed_pairs, total_pairs: run.progress.total_pairs, pair, ...details });
+        return;
+      }
+      if (type !== 'pair_finished') return;
+      const counter = `[${run.progress.completed_pairs}/${run.progress.total_pairs}]`;
+      human(pair.status === 'failed'
+        ? `✖ ${counter} "${pair.keyword}" in ${pair.location}: ${pair.error}`
+        : `✔ ${counter} "${pair.keyword}" in ${pair.location}: ${pair.jobs_scraped} job(s), ${pair.duplicates_skipped} already sent${pair.error ? ` (${pair.error})` : ''}`);
+    },
+    result(result, lines) {
+      if (json) {
+        emit({ event: 'result', ...result });
+        return;
+      }
+      human('');
+      lines.forEach(human);
+    }
+  };
+}
+
+// Everything the commands share, built from the environment
+async function createContext({ options, env, appDir, logger }) {
+  const dataDir = env.DATA_DIR || path.join(process.cwd(), 'data');
+  const config = scrapeConfigFromEnv(env);
+
+  const output = options.output ? path.resolve(options.output) : null;
+  const registry = sinkRegistryFromEnv(env, {
+    dataDir,
+    logger,
+    overrides: output
+      ? [createFileSink({ dir: path.dirname(output), filePath: output, format: output.endsWith('.csv') ? 'csv' : 'ndjson', logger })]
+      : []
+  });
+  const defaultSinks = output
+    ? ['file']
+    : (env.DEFAULT_SINKS || 'supabase').split(',').map(name => name.trim()).filter(Boolean);
+
+  const selectorProfiles = createSelectorProfiles({
+    dir: env.SELECTOR_PROFILES_DIR || path.join(appDir, 'selector-profiles'),
+    providers: allProviders,
+    logger
+  });
+  const profiles = await selectorProfiles.reload();
+  if (!profiles.applied) {
+    throw new Error(`Could not load selector profiles: ${profiles.errors.join('; ')}`);
+  }
+
+  const geo = createGeoLookup({ filePath: env.GEO_TABLE_PATH || path.join(appDir, 'geo', 'linkedin.json'), logger });
+  const geoTable = await geo.reload();
+  if (!geoTable.applied) {
+    throw new Error(`Could not load geo table: ${geoTable.errors.join('; ')}`);
+  }
+
+  const screenshotDir = path.join(dataDir, 'screenshots');
+  await fs.mkdir(screenshotDir, { recursive: true });
+
+  const fixturesDir = options.fixtures !== undefined
+    ? path.resolve(options.fixtures || env.FIXTURES_DIR || path.join(appDir, 'fixtures'))
+    : null;
+
+  const core = createScraperCore({
+    config,
+    registry,
+    defaultSinks,
+    selectorProfiles,
+    seenJobs: createSeenJobs({
+      filePath: env.SEEN_JOBS_PATH || path.join(dataDir, 'seen-jobs.json'),
+      ttlMs: (parseFloat(env.SEEN_JOBS_TTL_HOURS) || 72) * 60 * 60 * 1000,
+      logger
+    }),
+    screenshotDir,
+    fixtureStore: fixturesDir ? createFixtureStore({ dir: fixturesDir }) : null,
+    headless: !options.headed,
+    logger
+  });
+
+  const bulkParams = createBulkParams({
+    schema: buildRequestSchemas({
+      providers: allProviders(),
+      sinkNames: registry.list().map(({ name }) => name),
+      maxPagesLimit: config.pagination.maxPagesLimit,
+      maxEnrichLimit: config.enrich.maxPerRunLimit
+    }).routes['POST /bulk-scrape'],
+    registry,
+    geo
+  });
+
+  return { config, registry, defaultSinks, core, bulkParams, screenshotDir, logger };
+}
+
+// A dry run sends nothing, so its sinks only need to exist
+function checkSinks(registry, sinks, { json, 'dry-run': dryRun }) {
+  const unknown = sinks.find(name => !registry.get(name));
+  const error = dryRun
+    ? unknown && `Unknown sink: ${unknown}`
+    : registry.validate(sinks);
+  if (error) throw usageError(`Sinks ${sinks.join(', ')}: ${error}`);
+  if (json && sinks.includes('stdout')) {
+    throw usageError('The stdout sink cannot be combined with --json; use --output instead');
+  }
+}
+
+async function runBulk({ options, context, reporter }) {
+  const { core, bulkParams, defaultSinks, registry, config, screenshotDir, logger } = context;
+  const fileConfig = options.config ? await readConfigFile(options.config) : {};
+  const source = bulkParamsFromCli(options, fileConfig);
+
+  const problems = bulkParams.validate(source);
+  if (problems.length > 0) {
+    throw usageError(problems.map(({ message }) => message).join('\n'));
+  }
+
+  const { params, warnings, error } = bulkParams.resolve(source);
+  if (error) throw usageError(error);
+  warnings.forEach(warning => logger.warn(`⚠️ ${warning}`));
+  checkSinks(registry, params.sinks || defaultSinks, options);
+
+  params.dryRun = options['dry-run'];
+  const run = { id: `cli-${Date.now()}`, params, ...createRunState(params, config) };
+
+  try {
+    await core.runBulkScrape(run, { onEvent: event => reporter.progress(event, run) });
+  } catch (runError) {
+    reporter.result({ success: false, error: runError.message }, [`❌ Bulk run failed: ${runError.message}`]);
+    return EXIT_CODES.failed;
+  }
+
+  const failedPairs = run.progress.pairs.filter(pair => pair.status === 'failed').length;
+  const result = {
+    success: failedPairs < run.progress.total_pairs,
+    dry_run: params.dryRun || undefined,
+    sinks: params.sinks || defaultSinks,
+    total_pairs: run.progress.total_pairs,
+    failed_pairs: failedPairs,
+    total_scraped: run.total_scraped,
+    duplicates_skipped: run.duplicates_skipped,
+    enrichment: run.enrichment || undefined,
+    inserted: run.inserted,
+    pages_loaded: run.pages_loaded,
+    errors: run.errors.length > 0 ? run.errors : undefined,
+    screenshot_dir: run.screenshots.length > 0 ? screenshotDir : undefined,
+    jobs: run.dry_run ? run.dry_run.batches.flatMap(batch => batch.jobs) : undefined
+  };
+
+  const lines = [
+    `${failedPairs === 0 ? '✅' : '⚠️'} ${run.progress.total_pairs - failedPairs}/${run.progress.total_pairs} pair(s) scraped, ${run.total_scraped} job(s), ${run.duplicates_skipped} already sent`,
+    params.dryRun
+      ? `🧪 Dry run: ${result.jobs.length} job(s) not sent to ${result.sinks.join(', ')}`
+      : `📤 Sent to ${result.sinks.join(', ')}${run.inserted ? ` (${run.inserted} inserted)` : ''}`,
+    ...run.errors.map(({ keyword, location, sink, error: message }) => `   ❌ "${keyword}" in ${location}${sink ? ` -> ${sink}` : ''}: ${message}`)
+  ];
+  if (params.dryRun) {
+    lines.push(...result.jobs.map(job => `   • ${job.job_title || job.title} | ${job.company || '?'} | ${job.url}`));
+  }
+  if (result.screenshot_dir) lines.push(`📸 Screenshots in ${screenshotDir}`);
+
+  reporter.result(result, lines);
+  return bulkExitCode(run);
+}
+
+async function runJob({ args: [url], options, context, reporter }) {
+  const { core, defaultSinks, registry } = context;
+  const provider = getProvider(options.provider || DEFAULT_PROVIDER);
+  if (!provider) throw usageError(`Unknown provider: ${options.provider}`);
+  if (!URL.canParse(url) || !provider.isJobUrl(url)) {
+    throw usageError(`${url} is not a ${provider.name} job URL`);
+  }
+
+  const sinks = cliSinks(options, null) || defaultSinks;
+  checkSinks(registry, sinks, options);
+
+  let job;
+  try {
+    job = await core.scrapeJob({ url, user_id: options['user-id'], provider, sinks, dryRun: options['dry-run'] });
+  } catch (error) {
+    reporter.result({ success: false, error: error.message }, [`❌ Scrape failed: ${error.message}`]);
+    return EXIT_CODES.failed;
+  }
+
+  const failed = Object.entries(job.sinks).filter(([, result]) => result.status === 'failed');
+  reporter.result({ success: true, dry_run: options['dry-run'] || undefined, job }, [
+    `✅ ${job.title} | ${job.company || '?'} | ${job.location || '?'}`,
+    options['dry-run'] ? `🧪 Dry run: not sent to ${sinks.join(', ')}` : `📤 Sent to ${sinks.join(', ')}`,
+    ...failed.map(([name, result]) => `   ❌ ${name}: ${result.error}`)
+  ]);
+  return deliveryExitCode([job.sinks]);
+}
+
+// Search cards go out in batches like a bulk run's; detail pages one by one
+const REPLAY_BATCH_SIZE = 50;
+
+async function runReplay({ args: files, options, context, reporter }) {
+  const { core, defaultSinks, registry } = context;
+  const sinks = cliSinks(options, null) || defaultSinks;
+  checkSinks(registry, sinks, options);
+
+  const records = await readJobFiles(files);
+  const batches = [];
+  const cards = records.filter(record => record.kind === 'bulk');
+  for (let i = 0; i < cards.length; i += REPLAY_BATCH_SIZE) {
+    const chunk = cards.slice(i, i + REPLAY_BATCH_SIZE);
+    batches.push({ kind: 'bulk', jobs: chunk.map(record => record.job), context: chunk[0].context });
+  }
+  records.filter(record => record.kind !== 'bulk').forEach(record => {
+    batches.push({ kind: record.kind, jobs: [record.job], context: record.context });
+  });
+
+  if (options['dry-run']) {
+    reporter.result({ success: true, dry_run: true, sinks, batches }, [
+      `🧪 Dry run: ${records.length} job(s) in ${batches.length} batch(es) not sent to ${sinks.join(', ')}`
+    ]);
+    return EXIT_CODES.ok;
+  }
+
+  const results = [];
+  for (const batch of batches) {
+    results.push(await core.deliver(sinks, batch));
+  }
+
+  const failures = results.flatMap((batchResults, index) => Object.entries(batchResults)
+    .filter(([, result]) => result.status === 'failed')
+    .map(([sink, result]) => ({ batch: index, kind: batches[index].kind, sink, error: result.error })));
+
+  reporter.result({ success: failures.length === 0, sinks, jobs: records.length, batches: batches.length, errors: failures.length > 0 ? failures : undefined }, [
+    `${failures.length === 0 ? '✅' : '⚠️'} Replayed ${records.length} job(s) in ${batches.length} batch(es) to ${sinks.join(', ')}`,
+    ...failures.map(({ batch, sink, error }) => `   ❌ batch ${batch + 1} -> ${sink}: ${error}`)
+  ]);
+  return deliveryExitCode(results);
+}
+
+const COMMANDS = { bulk: runBulk, job: runJob, replay: runReplay };
+
+// Runs a command and resolves with its exit code; never throws
+export async function runCli(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, appDir }) {
+  let parsed;
+  try {
+    parsed = parseCli(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.usage;
+  }
+
+  if (parsed.command === 'help') {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.ok;
+  }
+
+  const reporter = createReporter({ json: parsed.options.json, stdout });
+  // Scraper logs go to stderr; stdout carries progress and the result
+  const logger = createLogger(stderr);
+  let context;
+
+  try {
+    context = await createContext({ options: parsed.options, env, appDir, logger });
+    return await COMMANDS[parsed.command]({ ...parsed, context, reporter });
+  } catch (error) {
+    if (parsed.options.json) {
+      stdout.write(`${JSON.stringify({ event: 'error', error: error.message })}\n`);
+    } else {
+      stderr.write(`❌ ${error.message}\n`);
+    }
+    return error.status || EXIT_CODES.failed;
+  } finally {
+    // Pooled browsers would keep the process alive
+    await context?.core.pool.close();
+  }
+}
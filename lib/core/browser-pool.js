@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+
+// ============================================================================
+// BROWSER POOL
+// ============================================================================
+//
+// Long-lived browsers shared by bulk runs, job scrapes and selector checks, so
+// requests don't pay for a Chromium launch each time. Callers take a lease:
+// an isolated browser context (own cookies and storage) on one of up to
+// `size` browsers, and release it when done.
+//
+// A browser is recycled once it has opened `maxPagesPerBrowser` pages or its
+// process tree uses more than `maxRssMb`: it takes no new leases and is closed
+// when the last one is released. Browsers that disconnect are dropped, and
+// with `prewarm` the pool launches replacements so one is always ready.
+
+const PAGE_SIZE = 4096;
+
+// Resident memory of a process and all its descendants, in MB (Linux /proc);
+// null where that can't be read
+export async function processTreeRssMb(rootPid) {
+  if (!rootPid) return null;
+
+  try {
+    const pids = (await fs.readdir('/proc')).filter(name => /^\d+$/.test(name));
+    const processes = await Promise.all(pids.map(async (pid) => {
+      try {
+        const [stat, statm] = await Promise.all([
+          fs.readFile(`/proc/${pid}/stat`, 'utf8'),
+          fs.readFile(`/proc/${pid}/statm`, 'utf8')
+        ]);
+        // The command name may contain spaces; fields after it are fixed
+        const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+        return { pid: Number(pid), ppid, rss: Number(statm.split(' ')[1]) * PAGE_SIZE };
+      } catch {
+        return null; // Exited while we were looking
+      }
+    }));
+
+    const children = new Map();
+    for (const proc of processes.filter(Boolean)) {
+      if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+      children.get(proc.ppid).push(proc);
+    }
+
+    const root = processes.find(proc => proc?.pid === rootPid);
+    if (!root) return null;
+
+    let bytes = 0;
+    const stack = [root];
+    while (stack.length > 0) {
+      const proc = stack.pop();
+      bytes += proc.rss;
+      stack.push(...(children.get(proc.pid) || []));
+    }
+    return Math.round(bytes / 1024 / 1024);
+  } catch {
+    return null;
+  }
+}
+
+// Options:
+//   launch               () -> new browser
+//   size                 most browsers open at once
+//   maxPagesPerBrowser   recycle after this many pages (0 = never)
+//   maxRssMb             recycle above this process-tree RSS (0 = never)
+//   prewarm              keep `size` browsers running, replacing lost ones
+//   measureRss           browser -> MB or null (defaults to processTreeRssMb)
+//   logger               console-like sink for log lines (default console)
+export function createBrowserPool({
+  launch,
+  size = 1,
+  maxPagesPerBrowser = 0,
+  maxRssMb = 0,
+  prewarm = false,
+  measureRss = (browser) => processTreeRssMb(browser.process?.()?.pid),
+  logger = console
+}) {
+  const entries = [];
+  const launches = new Set();
+  let nextId = 1;
+  let closed = false;
+  const counters = { launched: 0, recycled: 0, disconnected: 0 };
+
+  function addBrowser() {
+    const launching = launchEntry();
+    launches.add(launching);
+    launching.catch(() => {}).finally(() => launches.delete(launching));
+    return launching;
+  }
+
+  async function launchEntry() {
+    const browser = await launch();
+    const entry = {
+      id: nextId++,
+      browser,
+      pages: 0,
+      leases: 0,
+      retiring: false,
+      rss_mb: null,
+      launched_at: new Date().toISOString()
+    };
+
+    browser.once('disconnected', () => {
+      const index = entries.indexOf(entry);
+      if (index === -1) return;
+      entries.splice(index, 1);
+      if (entry.retiring || closed) return;
+
+      counters.disconnected++;
+      logger.warn(`♻️ Pooled browser ${entry.id} disconnected`);
+      if (prewarm) fill();
+    });
+
+    if (closed) {
+      await browser.close().catch(() => {});
+      throw new Error('Browser pool is closed');
+    }
+
+    entries.push(entry);
+    counters.launched++;
+    logger.log(`🌐 Pooled browser ${entry.id} launched (${entries.length}/${size})`);
+    return entry;
+  }
+
+  // Launch browsers until the pool is at `size`; failures are only logged
+  function fill() {
+    const missing = size - entries.filter(entry => !entry.retiring).length - launches.size;
+    for (let i = 0; i < missing; i++) {
+      addBrowser().catch(error => logger.error(`❌ Could not launch pooled browser: ${error.message}`));
+    }
+  }
+
+  async function retire(entry, reason) {
+    if (!entry.retiring) {
+      entry.retiring = true;
+      counters.recycled++;
+      logger.log(`♻️ Recycling pooled browser ${entry.id}: ${reason}`);
+      if (prewarm && !closed) fill();
+    }
+    if (entry.leases > 0) return;
+
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+    await entry.browser.close().catch(() => {});
+  }
+
+  async function checkRecycle(entry) {
+    if (maxPagesPerBrowser && entry.pages >= maxPagesPerBrowser) {
+      return retire(entry, `${entry.pages} pages opened`);
+    }
+    if (maxRssMb) {
+      entry.rss_mb = await measureRss(entry.browser);
+      if (entry.rss_mb !== null && entry.rss_mb > maxRssMb) {
+        return retire(entry, `${entry.rss_mb}MB RSS`);
+      }
+    }
+    if (entry.retiring) return retire(entry);
+  }
+
+  // Least busy live browser, or a new one while below `size`. With none up
+  // yet, waits for a launch already under way.
+  async function pickEntry() {
+    const live = entries.filter(entry => !entry.retiring && entry.browser.isConnected());
+    if (live.length + launches.size < size) return addBrowser();
+    if (live.length === 0) {
+      if (launches.size === 0) return addBrowser();
+      await Promise.any(launches).catch(() => {});
+      return pickEntry();
+    }
+    return live.reduce((best, entry) => (entry.leases < best.leases ? entry : best));
+  }
+
+  // Resolves with { browser, context, newPage(), release() }
+  async function acquire() {
+    if (closed) throw new Error('Browser pool is closed');
+
+    const entry = await pickEntry();
+    entry.leases++;
+
+    let context;
+    try {
+      context = await entry.browser.createBrowserContext();
+    } catch (error) {
+      entry.leases--;
+      throw error;
+    }
+
+    let released = false;
+    return {
+      browser: entry.browser,
+      context,
+      async newPage() {
+        entry.pages++;
+        return context.newPage();
+      },
+      async release() {
+        if (released) return;
+        released = true;
+        entry.leases--;
+        await context.close().catch(() => {});
+        if (entries.includes(entry)) await checkRecycle(entry);
+      }
+    };
+  }
+
+  function start() {
+    if (prewarm) fill();
+  }
+
+  async function close() {
+    closed = true;
+    if (entries.length > 0) logger.log(`🔒 Closing ${entries.length} pooled browser(s)...`);
+    await Promise.all(entries.splice(0).map(entry => entry.browser.close().catch(() => {})));
+  }
+
+  function stats() {
+    return {
+      size,
+      prewarm,
+      max_pages_per_browser: maxPagesPerBrowser || null,
+      max_rss_mb: maxRssMb || null,
+      launching: launches.size,
+      ...counters,
+      browsers: entries.map(({ id, pages, leases, retiring, rss_mb, launched_at, browser }) => ({
+        id,
+        connected: browser.isConnected(),
+        leases,
+        pages,
+        retiring,
+        rss_mb,
+        launched_at
+      }))
+    };
+  }
+
+  return { acquire, start, close, stats };
+}
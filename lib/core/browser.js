@@ -0,0 +1,82 @@
+import path from 'path';
+import puppeteer from 'puppeteer';
+import { enableFixtureReplay } from '../fixtures.js';
+
+// ============================================================================
+// BROWSER
+// ============================================================================
+
+export function launchBrowser({ headless = true, args, timeout }) {
+  return puppeteer.launch({
+    headless,
+    args,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+    timeout
+  });
+}
+
+// New page with our viewport and user agent, in a browser, context or pool
+// lease; with a fixture store every document is served from it instead of
+// the live site
+export async function openPage(target, { viewport, userAgent, fixtureStore = null }) {
+  const page = await target.newPage();
+  await page.setViewport(viewport);
+  await page.setUserAgent(userAgent);
+  if (fixtureStore) {
+    await enableFixtureReplay(page, fixtureStore);
+  }
+  return page;
+}
+
+// One pool lease shared by all workers of a run. If its browser crashes, the
+// first worker to notice takes a new lease from `acquire` and the others wait
+// on the same one.
+export function createSharedLease(acquire, { logger = console } = {}) {
+  let lease = null;
+  let acquiring = null;
+
+  async function get() {
+    if (lease?.browser.isConnected()) return lease;
+
+    if (!acquiring) {
+      if (lease) logger.warn('♻️ Browser disconnected - taking a fresh one from the pool...');
+      acquiring = (async () => {
+        await lease?.release();
+        lease = await acquire();
+        return lease;
+      })().finally(() => {
+        acquiring = null;
+      });
+    }
+
+    return acquiring;
+  }
+
+  async function release() {
+    await lease?.release();
+  }
+
+  return { get, release };
+}
+
+// Save a screenshot into `dir`; returns the file name, or null if it failed
+export async function takeScreenshot(page, dir, filename, description, { logger = console } = {}) {
+  try {
+    // Pre-flight checks
+    if (!page || page.isClosed()) {
+      logger.warn(`⚠️ Cannot screenshot ${description} - page is closed`);
+      return null;
+    }
+
+    await page.screenshot({
+      path: path.join(dir, filename),
+      fullPage: false,
+      timeout: 5000
+    });
+    logger.log(`📸 Screenshot saved: ${description} -> ${filename}`);
+    return filename;
+  } catch (error) {
+    logger.warn(`⚠️ Screenshot failed for ${description}: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,599 @@
+import { DEFAULT_PROVIDER, getProvider } from '../providers/index.js';
+import { profileLabel } from '../selector-profiles.js';
+import { createSharedLease, openPage, takeScreenshot } from './browser.js';
+
+// ============================================================================
+// BULK SCRAPE
+// ============================================================================
+//
+// The keyword × location loop shared by the server's bulk queue and the CLI.
+// A run is a plain object created by createRunState(); the loop records
+// progress on it as it goes, so callers can report on it while it runs.
+
+// Resolves early when `signal` aborts
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done);
+  });
+}
+
+// Normalized search filters for a provider; no filters is always valid
+export function parseSearchFilters(provider, raw) {
+  if (raw === undefined || raw === null) return { filters: {} };
+  if (!provider.parseFilters) {
+    return { error: `Provider "${provider.name}" does not support filters` };
+  }
+  return provider.parseFilters(raw);
+}
+
+// Provider, filters and effective time filter for validated bulk params
+export function resolveSearch(params, config) {
+  const provider = getProvider(params.provider || DEFAULT_PROVIDER);
+  const { filters = {} } = parseSearchFilters(provider, params.filters);
+  const timeFilter = filters.timeWindow || params.timeFilter || config.timeFilter;
+  return { provider, filters, timeFilter };
+}
+
+// Progress and totals for a run of `params` (flat keywords, locations as
+// { name: geoId }, optional dryRun). The server keeps these on its queue job.
+export function createRunState(params, config) {
+  const { keywords, locations } = params;
+  const pairs = keywords.flatMap(keyword =>
+    Object.entries(locations).map(([location, geoId]) => ({
+      keyword,
+      location,
+      geoId,
+      status: 'pending',
+      jobs_scraped: 0,
+      duplicates_skipped: 0,
+      enriched: 0,
+      enrich_failed: 0,
+      inserted: 0,
+      pages: 0,
+      scroll_steps: 0,
+      see_more_clicks: 0,
+      sinks: null,
+      duration: null,
+      error: null
+    }))
+  );
+
+  return {
+    progress: {
+      total_pairs: pairs.length,
+      completed_pairs: 0,
+      pairs
+    },
+    total_scraped: 0,
+    duplicates_skipped: 0,
+    enrichment: params.enrich ? {
+      max: params.maxEnrich || config.enrich.maxPerRun,
+      attempted: 0,
+      enriched: 0,
+      failed: 0,
+      skipped: 0
+    } : null,
+    inserted: 0,
+    pages_loaded: 0,
+    errors: [],
+    screenshots: [],
+    cancelled: false,
+    // Dry runs collect what would have been delivered instead of sending it
+    dry_run: params.dryRun ? { batches: [] } : null
+  };
+}
+
+// Extract cards page by page until maxJobs or maxPages is reached or the
+// board stops serving more results. Cards are deduped by job_id as we go since each
+// extraction re-reads the whole list.
+export async function collectJobs(page, provider, selectors, { maxJobs, maxPages, logger = console }) {
+  const jobsById = new Map();
+  let pages = 0;
+  let scrollSteps = 0;
+  let buttonClicks = 0;
+
+  while (true) {
+    pages++;
+    for (const job of await provider.extractJobs(page, selectors)) {
+      if (!jobsById.has(job.job_id)) {
+        jobsById.set(job.job_id, job);
+      }
+    }
+
+    logger.log(`   📄 Page ${pages}: ${jobsById.size} unique job(s) so far`);
+
+    if (jobsById.size >= maxJobs || pages >= maxPages) break;
+
+    const loadedBy = await provider.loadMoreJobs(page, selectors);
+    if (!loadedBy) {
+      logger.log('   ⏹️ No more results to load');
+      break;
+    }
+    if (loadedBy === 'scroll') scrollSteps++;
+    else buttonClicks++;
+  }
+
+  return {
+    jobs: [...jobsById.values()].slice(0, maxJobs),
+    pages,
+    scrollSteps,
+    buttonClicks
+  };
+}
+
+// Dependencies:
+//   config             scrape config (see config.js)
+//   selectorProfiles   active selector profile per provider
+//   seenJobs           cache of jobs already sent (see lib/seen-jobs.js)
+//   deliver            (sinkNames, { kind, jobs, context }) -> results per sink
+//   preview            like deliver, but only describes what would be sent
+//                      (dry runs)
+//   defaultSinks       sinks for runs that don't name any
+//   acquire            () -> browser lease from the pool (see browser-pool.js)
+//   enrichLimiter      rate limiter for detail-page visits
+//   screenshotDir      where screenshots are written
+//   fixtureStore       serve pages from fixtures instead of the live site
+export function createBulkScraper({
+  config,
+  selectorProfiles,
+  seenJobs,
+  deliver,
+  preview = (sinkNames) => Object.fromEntries(sinkNames.map(name => [name, { status: 'dry_run' }])),
+  defaultSinks,
+  acquire,
+  enrichLimiter,
+  screenshotDir,
+  fixtureStore = null,
+  logger = console
+}) {
+  function newPage(lease) {
+    return openPage(lease, { viewport: config.viewport, userAgent: config.userAgent, fixtureStore });
+  }
+
+  // Visit each new job's detail page and merge in what the cards lack
+  // (description, employment type, seniority, skills). Visits are rate limited
+  // across all runs and capped per run; jobs past the cap, or left when the
+  // run is cancelled, are sent with card fields only.
+  async function enrichJobs({ run, pair, page, provider, profile, jobs, signal }) {
+    const { enrichment } = run;
+    logger.log(`   🔎 Enriching up to ${jobs.length} job(s) from detail pages...`);
+
+    for (const job of jobs) {
+      job.scrape_metadata.enriched = false;
+
+      if (signal?.aborted || page.isClosed() || enrichment.attempted >= enrichment.max || !provider.isJobUrl(job.url)) {
+        enrichment.skipped++;
+        continue;
+      }
+      enrichment.attempted++;
+
+      try {
+        await enrichLimiter.wait();
+        await page.goto(job.url, { waitUntil: 'domcontentloaded', timeout: config.timeouts.navigation });
+        const detail = await provider.extractJobDetail(page, profile.detail);
+        if (!detail.title) {
+          throw new Error('No job title on detail page');
+        }
+
+        Object.assign(job, {
+          description: detail.description,
+          employment_type: detail.employment_type,
+          seniority: detail.seniority,
+          skills: detail.skills || [],
+          posted_at: detail.posted_at
+        });
+        job.scrape_metadata.enriched = true;
+        enrichment.enriched++;
+        pair.enriched++;
+      } catch (error) {
+        logger.warn(`   ⚠️ Could not enrich ${job.url}: ${error.message}`);
+        enrichment.failed++;
+        pair.enrich_failed++;
+        pair.enrich_error = error.message;
+      }
+    }
+
+    logger.log(`   ✅ Enriched ${pair.enriched} job(s), ${pair.enrich_failed} failed`);
+  }
+
+  // Scrape and ingest a single keyword/location pair on the given page,
+  // recording the outcome on `pair` and the run totals. Never throws; returns
+  // { pageUsable: false } when the worker should open a fresh page.
+  async function scrapeLocation({ run, pair, page, browser, provider, profile, sinks, timeFilter, filters, pagination, workerId, dryRunKeys, emit, signal }) {
+    const { keyword, location: locationName, geoId } = pair;
+    const { errors, screenshots } = run;
+    const recordError = (entry) => {
+      errors.push(entry);
+      emit({ type: 'error', pair, error: entry });
+    };
+    const selectors = profile.search;
+    const screenshotPrefix = `${keyword.replace(/\s+/g, '-')}-${locationName.replace(/\s+/g, '-')}`;
+    const startTime = Date.now();
+    let url = '';  // Declare outside try block for error handler access
+
+    const screenshot = async (tag, description) => {
+      const filename = await takeScreenshot(page, screenshotDir, `${screenshotPrefix}-${tag}-${Date.now()}.png`, description, { logger });
+      if (!filename) return;
+      screenshots.push(filename);
+      emit({ type: 'screenshot', pair, filename, description });
+    };
+
+    pair.status = 'running';
+
+    try {
+      logger.log(`\n🔄 [${new Date().toISOString()}] [worker ${workerId}] Scraping: "${keyword}" in ${locationName}...`);
+      url = provider.buildSearchUrl({ keyword, geoId, timeFilter, filters });
+      logger.log(`   URL: ${url}`);
+
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.timeouts.navigation });
+
+      // Screenshot IMMEDIATELY after navigation (before stability wait)
+      await screenshot('IMMEDIATE', 'Immediate post-navigation');
+
+      await sleep(config.delays.postNavigation);
+
+      if (page.isClosed()) throw new Error('Page closed during stability wait');
+      if (!browser.isConnected()) throw new Error('Browser disconnected during navigation');
+
+      const currentUrl = page.url();
+      if (!provider.isSearchPage(currentUrl)) {
+        throw new Error(`Redirected away from jobs page to: ${currentUrl}`);
+      }
+
+      await screenshot('initial', 'Initial page load');
+
+      await provider.dismissModal(page, selectors);
+      await page.waitForSelector(selectors.jobListContainer, {
+        timeout: config.timeouts.jobList,
+        visible: true
+      });
+
+      logger.log('⏳ Waiting for page to stabilize...');
+      await sleep(config.delays.pageStabilize);
+
+      const jobCardCount = await provider.countJobCards(page, selectors);
+
+      logger.log(`📊 Found ${jobCardCount} job card(s) in DOM`);
+
+      if (jobCardCount === 0) {
+        await screenshot('no-results', 'No jobs found');
+        await sleep(config.delays.zeroResultsExtra);
+        throw new Error('No job listings found on page');
+      }
+
+      await screenshot('pre-scrape', 'Before scraping job data');
+
+      logger.log(`🔍 Extracting data from ${jobCardCount} job card(s) (up to ${pagination.maxJobs} jobs / ${pagination.maxPages} pages)...`);
+      const { jobs, pages, scrollSteps, buttonClicks } = await collectJobs(page, provider, selectors, { ...pagination, logger });
+      logger.log(`✅ Successfully extracted ${jobs.length} job(s) across ${pages} page(s) (${scrollSteps} scroll(s), ${buttonClicks} "See more" click(s))`);
+
+      pair.pages = pages;
+      pair.scroll_steps = scrollSteps;
+      pair.see_more_clicks = buttonClicks;
+      run.pages_loaded += pages;
+
+      jobs.forEach(job => {
+        if (job.url) {
+          job.url = provider.canonicalizeUrl(job.url);
+        }
+      });
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+      logger.log(`   ✅ Scraped ${jobs.length} jobs in ${duration}s`);
+
+      // Add metadata to each job
+      const jobsWithMetadata = jobs.map(job => ({
+        ...job,
+        scrape_metadata: {
+          provider: provider.name,
+          selector_profile: profileLabel(profile),
+          keyword: keyword,
+          location: locationName,
+          geoId: geoId,
+          timeFilter,
+          filters,
+          scraped_at: new Date().toISOString()
+        }
+      }));
+
+      run.total_scraped += jobsWithMetadata.length;
+      pair.jobs_scraped = jobsWithMetadata.length;
+
+      // Skip jobs already sent by this or a recent run. A dry run leaves the
+      // cache alone and only tracks its own batches.
+      const seenKey = (job) => `${provider.name}:${job.job_id}`;
+      const keys = jobsWithMetadata.map(seenKey);
+      let fresh;
+      let duplicates;
+      if (run.dry_run) {
+        ({ fresh, duplicates } = seenJobs.check(keys, { force: run.params.forceIngest }));
+        duplicates.push(...fresh.filter(key => dryRunKeys.has(key)));
+        fresh = fresh.filter(key => !dryRunKeys.has(key));
+        fresh.forEach(key => dryRunKeys.add(key));
+      } else {
+        ({ fresh, duplicates } = seenJobs.claim(keys, { force: run.params.forceIngest }));
+      }
+      const freshKeys = new Set(fresh);
+      const newJobs = jobsWithMetadata.filter(job => freshKeys.has(seenKey(job)));
+      run.duplicates_skipped += duplicates.length;
+      pair.duplicates_skipped = duplicates.length;
+      if (duplicates.length > 0) {
+        logger.log(`   ♻️ Skipping ${duplicates.length} job(s) already sent within the TTL`);
+      }
+      emit({ type: 'jobs_extracted', pair, scraped: jobsWithMetadata.length, new_jobs: newJobs.length, duplicates: duplicates.length, pages });
+
+      if (run.enrichment && newJobs.length > 0) {
+        await enrichJobs({ run, pair, page, provider, profile, jobs: newJobs, signal });
+      }
+
+      const batch = {
+        kind: 'bulk',
+        jobs: newJobs,
+        context: { run_id: run.id, keyword, location: locationName }
+      };
+
+      // The full requests go on the batch; the pair only keeps the statuses
+      // so progress and run history stay small
+      if (run.dry_run && newJobs.length > 0) {
+        logger.log(`   🧪 Dry run: not sending ${newJobs.length} jobs to ${sinks.join(', ')}`);
+        const requests = preview(sinks, batch);
+        run.dry_run.batches.push({ keyword, location: locationName, sinks, jobs: newJobs, requests });
+        pair.sinks = Object.fromEntries(sinks.map(name => [name, { status: 'dry_run' }]));
+        emit({ type: 'ingest_result', pair, sinks: pair.sinks });
+      }
+
+      // Deliver jobs immediately after scraping this location
+      if (!run.dry_run && newJobs.length > 0) {
+        logger.log(`   📤 Sending ${newJobs.length} jobs to ${sinks.join(', ')}...`);
+        const results = await deliver(sinks, batch);
+        pair.sinks = results;
+        emit({ type: 'ingest_result', pair, sinks: results });
+
+        // Queued batches still count as sent; lost ones may be retried next run
+        if (Object.values(results).some(result => result.status === 'failed')) {
+          seenJobs.release(fresh);
+        }
+        await seenJobs.save();
+
+        const inserted = results.supabase?.result?.inserted || 0;
+        run.inserted += inserted;
+        pair.inserted = inserted;
+        if (results.supabase) logger.log(`   ✅ Inserted: ${inserted}`);
+
+        for (const [sink, result] of Object.entries(results)) {
+          if (result.status === 'delivered') continue;
+          logger.error(`   ❌ Failed to deliver jobs for ${locationName} to ${sink}: ${result.error}`);
+          recordError({
+            keyword,
+            location: locationName,
+            type: 'ingest',
+            sink,
+            error: result.error,
+            outbox_id: result.outbox_id
+          });
+          pair.error = result.error;
+        }
+      }
+
+      pair.status = 'done';
+      pair.duration = `${duration}s`;
+      return { pageUsable: !page.isClosed() };
+
+    } catch (error) {
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+      let pageState = 'unknown';
+      let browserState = 'unknown';
+
+      try {
+        pageState = page?.isClosed() ? 'closed' : 'open';
+        browserState = browser?.isConnected() ? 'connected' : 'disconnected';
+      } catch (_e) {
+        pageState = 'error checking';
+        browserState = 'error checking';
+      }
+
+      logger.error(`❌ [${new Date().toISOString()}] [worker ${workerId}] Error after ${duration}s scraping "${keyword}" in ${locationName}: ${error.message}`);
+      logger.error(`   📊 Diagnostics: Page=${pageState}, Browser=${browserState}`);
+
+      try {
+        if (page && !page.isClosed() && browser && browser.isConnected()) {
+          await screenshot('ERROR', `Error: ${error.message}`);
+        }
+      } catch (_se) {}
+
+      recordError({
+        keyword,
+        location: locationName,
+        error: error.message,
+        url: url || 'not generated',
+        timestamp: new Date().toISOString(),
+        duration: `${duration}s`
+      });
+
+      pair.status = 'failed';
+      pair.error = error.message;
+      pair.duration = `${duration}s`;
+
+      // A crashed browser is replaced by the shared lease; a dead target
+      // only costs this worker its page.
+      const pageUsable = pageState === 'open' && browserState === 'connected' &&
+        !/Target closed|detached Frame/i.test(error.message);
+      return { pageUsable };
+    }
+  }
+
+  // Runs the keyword × location pairs of `run` (params plus createRunState())
+  // on a pool of pages in one shared browser. Throws only if the browser
+  // can't be launched at all; per-pair failures end up in run.errors.
+  // Aborting `signal` cancels the run at the next pair boundary: pairs in
+  // progress finish and deliver what they scraped, the rest are 'cancelled'.
+  // `onEvent` gets progress as it happens, each event { type, pair, ... }:
+  //   pair_started     a worker picked up the pair
+  //   jobs_extracted   scraped, new_jobs, duplicates, pages
+  //   ingest_result    sinks: per-sink delivery results
+  //   screenshot       filename, description
+  //   error            error: the entry added to run.errors
+  //   pair_finished    the pair is done or failed
+  async function runBulkScrape(run, { onEvent = () => {}, signal } = {}) {
+    const { provider, filters, timeFilter } = resolveSearch(run.params, config);
+    // Pin the profile for the whole run so a reload mid-run can't mix versions
+    const profile = selectorProfiles.getActive(provider.name);
+    const sinks = run.params.sinks || defaultSinks;
+    const pagination = {
+      maxJobs: run.params.maxJobs || config.pagination.maxJobs,
+      maxPages: run.params.maxPages || config.pagination.maxPages
+    };
+    const pending = [...run.progress.pairs];
+    const concurrency = Math.min(
+      run.params.concurrency || config.concurrency.default,
+      config.concurrency.max,
+      pending.length
+    );
+    const { errors, screenshots } = run;
+    const dryRunKeys = new Set();
+
+    let sharedLease;
+
+    try {
+      await seenJobs.load();
+      logger.log(`🚀 Getting a browser for bulk scraping...`);
+      logger.log(`📊 Initial memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB / ${Math.round(process.memoryUsage().rss / 1024 / 1024)}MB RSS`);
+
+      // Force garbage collection if available
+      if (global.gc) {
+        logger.log(`🧹 Running garbage collection...`);
+        global.gc();
+      }
+
+      logger.log(`📊 Memory before launch: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+
+      sharedLease = createSharedLease(acquire, { logger });
+      await sharedLease.get();
+
+      logger.log(`✅ Browser ready`);
+      logger.log(`📊 Memory after launch: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+      logger.log(`👷 Running ${pending.length} ${provider.name} pair(s) on ${concurrency} worker(s) with selectors ${profileLabel(profile)}`);
+
+      const runWorker = async (workerId) => {
+        let page = null;
+        let pageLease = null;
+
+        while (pending.length > 0 && !signal?.aborted) {
+          const pair = pending.shift();
+          let browser;
+
+          try {
+            // Ensure we have a live browser and page before each pair
+            const lease = await sharedLease.get();
+            browser = lease.browser;
+            if (!page || page.isClosed() || pageLease !== lease) {
+              page = await newPage(lease);
+              pageLease = lease;
+            }
+          } catch (setupError) {
+            logger.error(`❌ [worker ${workerId}] Failed to prepare browser page: ${setupError.message}`);
+            const entry = {
+              keyword: pair.keyword,
+              location: pair.location,
+              error: setupError.message,
+              url: 'not generated',
+              timestamp: new Date().toISOString(),
+              duration: '0.0s'
+            };
+            errors.push(entry);
+            onEvent({ type: 'error', pair, error: entry });
+            pair.status = 'failed';
+            pair.error = setupError.message;
+            run.progress.completed_pairs++;
+            onEvent({ type: 'pair_finished', pair });
+            page = null;
+            continue;
+          }
+
+          onEvent({ type: 'pair_started', pair });
+          const { pageUsable } = await scrapeLocation({
+            run,
+            pair,
+            page,
+            browser,
+            provider,
+            profile,
+            sinks,
+            timeFilter,
+            filters,
+            pagination,
+            workerId,
+            dryRunKeys,
+            emit: onEvent,
+            signal
+          });
+          run.progress.completed_pairs++;
+          onEvent({ type: 'pair_finished', pair });
+
+          if (!pageUsable) {
+            await page.close().catch(() => {});
+            page = null;
+          }
+
+          if (pending.length === 0 || signal?.aborted) break;
+
+          // Delay AFTER both success AND error, per worker
+          const { min, max } = config.delays.betweenPairs;
+          const randomDelay = min + Math.random() * (max - min);
+          logger.log(`⏳ [worker ${workerId}] Waiting ${Math.round(randomDelay/1000)}s before next location...`);
+          await sleep(randomDelay, signal);
+        }
+
+        if (page) await page.close().catch(() => {});
+      };
+
+      await Promise.all(
+        Array.from({ length: concurrency }, (_, i) => runWorker(i + 1))
+      );
+
+      if (signal?.aborted) {
+        run.cancelled = true;
+        pending.splice(0).forEach(pair => { pair.status = 'cancelled'; });
+        logger.log(`\n🛑 Bulk scraping cancelled`);
+      } else {
+        logger.log(`\n✅ Bulk scraping completed`);
+      }
+      logger.log(`   Total jobs scraped: ${run.total_scraped}`);
+      logger.log(`   Duplicates skipped: ${run.duplicates_skipped}`);
+      logger.log(`   Total jobs inserted: ${run.inserted}`);
+      logger.log(`   Errors: ${errors.length}`);
+
+      return {
+        success: true,
+        total_scraped: run.total_scraped,
+        duplicates_skipped: run.duplicates_skipped,
+        enrichment: run.enrichment || undefined,
+        inserted: run.inserted,
+        pages_loaded: run.pages_loaded,
+        errors: errors.length > 0 ? errors : undefined,
+        screenshots: screenshots.length > 0 ? screenshots : undefined,
+        screenshot_url: screenshots.length > 0 ? run.screenshot_url : undefined,
+        dry_run: run.dry_run || undefined,
+        cancelled: run.cancelled || undefined
+      };
+
+    } catch (error) {
+      logger.error('❌ Bulk scraping error:', error.message);
+      logger.error(`📊 Memory at crash: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+      throw error;
+    } finally {
+      if (sharedLease) {
+        await sharedLease.release();
+        logger.log(`🔒 Browser context closed`);
+      }
+    }
+  }
+
+  return { runBulkScrape };
+}
@@ -0,0 +1,76 @@
+// ============================================================================
+// SCRAPE CONFIGURATION
+// ============================================================================
+//
+// Timeouts, delays and limits shared by the server and the CLI. Callers start
+// from scrapeConfigFromEnv() and may override single values (tests drop the
+// delays).
+
+export const DEFAULT_SCRAPE_CONFIG = {
+  timeFilter: 'r28800', // Past 8 hours
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  viewport: { width: 1280, height: 720 },
+  // One launch config for every pooled browser; pages set their own viewport
+  browser: {
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--disable-gpu',
+      '--window-size=1280,720'
+    ],
+    timeout: 60000  // 60 second timeout for launch
+  },
+  // Browser pool (see browser-pool.js); prewarming starts with pool.start()
+  pool: {
+    size: 1,
+    maxPagesPerBrowser: 200,
+    maxRssMb: 1024,
+    prewarm: true
+  },
+  timeouts: {
+    navigation: 20000,
+    jobList: 8000
+  },
+  delays: {
+    postNavigation: 2000,
+    pageStabilize: 3000,
+    zeroResultsExtra: 3000,
+    betweenPairs: { min: 2000, max: 5000 }  // Per worker, after success and error alike
+  },
+  concurrency: {
+    default: 1,
+    max: 3  // Pages per run in the shared browser
+  },
+  pagination: {
+    maxJobs: 100,  // Per keyword/location pair
+    maxPages: 4,   // Result batches, i.e. the first load plus 3 "load more" steps
+    maxPagesLimit: 40
+  },
+  // Detail-page pass for `enrich: true` runs
+  enrich: {
+    maxPerRun: 50,
+    maxPerRunLimit: 500,
+    minIntervalMs: 3000
+  },
+  // Single job detail pages (/scrape)
+  job: {
+    viewport: { width: 1920, height: 1080 },
+    navigationTimeout: 30000
+  }
+};
+
+export function scrapeConfigFromEnv(env = process.env) {
+  const config = structuredClone(DEFAULT_SCRAPE_CONFIG);
+
+  config.concurrency.max = Number(env.BULK_MAX_CONCURRENCY) || config.concurrency.max;
+  config.enrich.maxPerRun = parseInt(env.BULK_ENRICH_MAX) || config.enrich.maxPerRun;
+  config.enrich.minIntervalMs = parseInt(env.BULK_ENRICH_INTERVAL_MS) || config.enrich.minIntervalMs;
+  config.pool.size = parseInt(env.BROWSER_POOL_SIZE) || config.pool.size;
+  config.pool.maxPagesPerBrowser = parseInt(env.BROWSER_MAX_PAGES ?? config.pool.maxPagesPerBrowser) || 0;
+  config.pool.maxRssMb = parseInt(env.BROWSER_MAX_RSS_MB ?? config.pool.maxRssMb) || 0;
+  config.pool.prewarm = env.BROWSER_POOL_PREWARM !== 'false';
+
+  return config;
+}
@@ -0,0 +1,47 @@
+// ============================================================================
+// SINK DELIVERY
+// ============================================================================
+//
+// The ingest client shared by the server and the CLI: hands a batch to each
+// named sink of a registry (see lib/sinks/index.js). A sink that fails gets
+// the batch queued in the outbox for retry; without an outbox, or if even
+// queueing fails, the batch is lost for that sink ('failed'). Dry runs call
+// preview() instead and send nothing. `onDelivery({ sink, kind, seconds,
+// error })` is told about every attempt, for metrics.
+
+export function createSinkDelivery({ registry, outbox = null, onDelivery = () => {}, logger = console }) {
+  // Returns { [sink]: { status, result | outbox_id, error } }
+  async function deliver(sinkNames, { kind, jobs, context }) {
+    const results = await Promise.all(sinkNames.map(async (name) => {
+      const startedAt = Date.now();
+      const report = (error = null) => onDelivery({ sink: name, kind, seconds: (Date.now() - startedAt) / 1000, error });
+      try {
+        const result = await registry.get(name).deliver({ kind, jobs, context });
+        report();
+        return [name, { status: 'delivered', result }];
+      } catch (error) {
+        report(error);
+        if (!outbox) {
+          logger.error(`❌ ${kind} batch for ${name} not delivered: ${error.message}`);
+          return [name, { status: 'failed', error: error.message }];
+        }
+        try {
+          const queued = await outbox.add(kind, { jobs }, { sink: name, context, error });
+          return [name, { status: 'queued', outbox_id: queued.id, error: error.message }];
+        } catch (outboxError) {
+          logger.error(`❌ Could not queue failed ${kind} batch for ${name}: ${outboxError.message}`);
+          return [name, { status: 'failed', error: error.message }];
+        }
+      }
+    }));
+
+    return Object.fromEntries(results);
+  }
+
+  // Returns { [sink]: { status: 'dry_run', ...what the sink would send } }
+  function preview(sinkNames, batch) {
+    return Object.fromEntries(sinkNames.map(name => [name, { status: 'dry_run', ...registry.get(name).preview(batch) }]));
+  }
+
+  return { deliver, preview };
+}
@@ -0,0 +1,93 @@
+import { createRateLimiter } from '../rate-limiter.js';
+import { launchBrowser } from './browser.js';
+import { createBrowserPool } from './browser-pool.js';
+import { createBulkScraper } from './bulk.js';
+import { createSinkDelivery } from './delivery.js';
+import { createJobScraper } from './job.js';
+
+// ============================================================================
+// SCRAPER CORE
+// ============================================================================
+//
+// Everything a scrape needs apart from the HTTP layer, shared by server.js and
+// the CLI (lib/cli.js) so fixes to the loop land in both:
+//
+//   runBulkScrape(run)    keyword × location loop (run = params + createRunState())
+//   scrapeJob(request)    one job detail page
+//   deliver(sinks, batch) the ingest client: sinks with outbox fallback
+//   preview(sinks, batch) what deliver() would send, for dry runs
+//   pool                  the browser pool both scrapers lease from
+//
+// Options:
+//   config             scrape config, usually scrapeConfigFromEnv()
+//   registry           sink registry (lib/sinks/index.js)
+//   outbox             ingest outbox for failed deliveries (optional)
+//   defaultSinks       sinks for runs that don't name any
+//   selectorProfiles   loaded selector profiles
+//   seenJobs           seen-jobs cache (lib/seen-jobs.js)
+//   screenshotDir      where bulk screenshots are written
+//   fixtureStore       replay pages from fixtures (optional)
+//   headless           false to watch the pooled browsers
+//   onDelivery         called after each sink delivery attempt (optional)
+//   logger             console-like sink for log lines (default console)
+
+export function createScraperCore({
+  config,
+  registry,
+  outbox = null,
+  defaultSinks,
+  selectorProfiles,
+  seenJobs,
+  screenshotDir,
+  fixtureStore = null,
+  headless = true,
+  onDelivery,
+  logger = console
+}) {
+  const { deliver, preview } = createSinkDelivery({ registry, outbox, onDelivery, logger });
+
+  const pool = createBrowserPool({
+    launch: () => launchBrowser({ ...config.browser, headless }),
+    ...config.pool,
+    logger
+  });
+  const acquire = () => pool.acquire();
+
+  // Shared by every run: detail pages count against the same per-IP limits
+  // whichever run opens them
+  const enrichLimiter = createRateLimiter({ minIntervalMs: config.enrich.minIntervalMs });
+
+  const { runBulkScrape } = createBulkScraper({
+    config,
+    selectorProfiles,
+    seenJobs,
+    deliver,
+    preview,
+    defaultSinks,
+    acquire,
+    enrichLimiter,
+    screenshotDir,
+    fixtureStore,
+    logger
+  });
+
+  const { scrapeJob } = createJobScraper({
+    config,
+    selectorProfiles,
+    deliver,
+    preview,
+    acquire,
+    fixtureStore,
+    logger
+  });
+
+  return { config, deliver, preview, pool, runBulkScrape, scrapeJob };
+}
+
+export { DEFAULT_SCRAPE_CONFIG, scrapeConfigFromEnv } from './config.js';
+export { createSharedLease, launchBrowser, openPage, takeScreenshot } from './browser.js';
+export { createBrowserPool, processTreeRssMb } from './browser-pool.js';
+export { collectJobs, createBulkScraper, createRunState, parseSearchFilters, resolveSearch } from './bulk.js';
+export { createJobScraper } from './job.js';
+export { BULK_PARAM_KEYS, createBulkParams, normalizeKeywords, pickBulkParams } from './params.js';
+export { createSinkDelivery } from './delivery.js';
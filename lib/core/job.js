@@ -0,0 +1,100 @@
+import { profileLabel } from '../selector-profiles.js';
+import { openPage } from './browser.js';
+
+// ============================================================================
+// SINGLE JOB SCRAPE
+// ============================================================================
+
+// Dependencies as for createBulkScraper()
+export function createJobScraper({ config, selectorProfiles, deliver, preview, acquire, fixtureStore = null, logger = console }) {
+  // Scrape one job detail page and deliver it to `sinks`. A failed sink doesn't
+  // fail the scrape: the job goes to the outbox and is retried from there.
+  // Only a job that couldn't even be queued is an error. A dry run delivers
+  // nothing; its sink results describe the requests that would have been made.
+  async function scrapeJob({ url, user_id, provider, sinks, dryRun = false }) {
+    let lease;
+
+    try {
+      logger.log(`🌐 Opening browser for: ${url}`);
+
+      lease = await acquire();
+      const page = await openPage(lease, {
+        viewport: config.job.viewport,
+        userAgent: config.userAgent,
+        fixtureStore
+      });
+
+      logger.log(`📄 Navigating to URL...`);
+      await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: config.job.navigationTimeout
+      });
+
+      const profile = selectorProfiles.getActive(provider.name);
+      logger.log(`🔍 Extracting ${provider.name} job data with selectors ${profileLabel(profile)}...`);
+      const scrapedData = await provider.extractJobDetail(page, profile.detail);
+
+      logger.log(`📊 Extracted data:`, {
+        title: scrapedData.title,
+        company: scrapedData.company,
+        location: scrapedData.location,
+        external_id: scrapedData.external_id
+      });
+
+      // Validate required fields
+      if (!scrapedData.title) {
+        throw new Error('Failed to extract job title from page');
+      }
+
+      // Format job data for ingest-job
+      const jobData = {
+        source: provider.name,
+        external_id: scrapedData.external_id,
+        title: scrapedData.title,
+        company: scrapedData.company,
+        location: scrapedData.location,
+        employment_type: scrapedData.employment_type,
+        seniority: scrapedData.seniority,
+        url: url,
+        description: scrapedData.description,
+        skills: scrapedData.skills || [],
+        posted_at: scrapedData.posted_at,
+        user_id: user_id // Include user_id for service role auth
+      };
+
+      if (dryRun) {
+        logger.log(`🧪 Dry run: not sending to ${sinks.join(', ')}`);
+      } else {
+        logger.log(`📤 Sending to ${sinks.join(', ')}...`);
+      }
+      const batch = { kind: 'job', jobs: [jobData], context: { url, user_id } };
+      const sinkResults = dryRun ? preview(sinks, batch) : await deliver(sinks, batch);
+      const lost = Object.entries(sinkResults).filter(([, result]) => result.status === 'failed');
+      if (lost.length > 0) {
+        throw new Error(`Failed to deliver job to ${lost.map(([name, result]) => `${name} (${result.error})`).join(', ')}`);
+      }
+
+      return {
+        ...jobData,
+        scrape_metadata: {
+          provider: provider.name,
+          selector_profile: profileLabel(profile),
+          scraped_at: new Date().toISOString()
+        },
+        job: sinkResults.supabase?.result?.job,
+        sinks: sinkResults
+      };
+
+    } catch (error) {
+      logger.error('Scraping error:', error);
+      throw error;
+    } finally {
+      if (lease) {
+        await lease.release();
+        logger.log(`🔒 Browser context closed`);
+      }
+    }
+  }
+
+  return { scrapeJob };
+}
@@ -0,0 +1,98 @@
+import { DEFAULT_PROVIDER, getProvider } from '../providers/index.js';
+import { validate } from '../schema.js';
+import { parseSearchFilters } from './bulk.js';
+
+// ============================================================================
+// BULK PARAMETERS
+// ============================================================================
+//
+// Checks and normalizes bulk-run parameters the same way for a request body,
+// a schedule or a CLI invocation.
+
+// Fields that are carried into a bulk run (also used by schedules)
+export const BULK_PARAM_KEYS = [
+  'provider',
+  'sinks',
+  'keywords',
+  'locations',
+  'timeFilter',
+  'filters',
+  'maxJobs',
+  'maxPages',
+  'concurrency',
+  'forceIngest',
+  'enrich',
+  'maxEnrich',
+  'dryRun'
+];
+
+export function pickBulkParams(source) {
+  return Object.fromEntries(
+    BULK_PARAM_KEYS
+      .filter(key => source[key] !== undefined && source[key] !== null)
+      .map(key => [key, source[key]])
+  );
+}
+
+// Keyword groups ({ primary: [...], extra: '...' }) flatten into one list
+export function normalizeKeywords(keywords) {
+  const values = Array.isArray(keywords)
+    ? keywords
+    : Object.values(keywords).flatMap(value => (Array.isArray(value) ? value : [value]));
+  return values.map(value => value.trim());
+}
+
+// `schema` is the POST /bulk-scrape body schema (lib/request-schemas.js),
+// `registry` the sink registry and `geo` the geo lookup.
+export function createBulkParams({ schema, registry, geo }) {
+  // Field-level problems with bulk parameters, [] when valid. Null counts as
+  // unset so schedules can clear a parameter with PATCH.
+  function validateParams(params) {
+    const defined = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== null));
+    const schemaErrors = validate(schema, defined);
+    if (schemaErrors.length > 0) return schemaErrors;
+
+    const { provider, sinks, locations, timeFilter, filters } = defined;
+    const errors = [];
+
+    if (sinks) {
+      const sinksError = registry.validate(sinks);
+      if (sinksError) errors.push({ field: 'sinks', message: sinksError });
+    }
+
+    const { error: locationsError } = geo.resolveLocations(locations);
+    if (locationsError) errors.push({ field: 'locations', message: locationsError });
+
+    if (filters) {
+      const searchProvider = getProvider(provider || DEFAULT_PROVIDER);
+      const filterErrors = searchProvider.filtersSchema
+        ? validate(searchProvider.filtersSchema, filters, 'filters')
+        : [];
+      const { filters: parsed, error } = filterErrors.length > 0 ? {} : parseSearchFilters(searchProvider, filters);
+
+      errors.push(...filterErrors);
+      if (error) errors.push({ field: 'filters', message: error });
+      if (parsed?.timeWindow && timeFilter) {
+        errors.push({ field: 'filters.timeWindow', message: 'Use either timeFilter or filters.timeWindow, not both' });
+      }
+    }
+
+    return errors;
+  }
+
+  // Validated parameters -> the params a bulk run works with: flat keywords
+  // and locations resolved to { name: geoId }. Returns { params, warnings }
+  // or { error } if a location no longer resolves.
+  function resolveParams(source) {
+    const params = pickBulkParams(source);
+    const { locations, warnings, error } = geo.resolveLocations(params.locations);
+    if (error) return { error };
+
+    return {
+      params: { ...params, keywords: normalizeKeywords(params.keywords), locations },
+      warnings
+    };
+  }
+
+  return { validate: validateParams, resolve: resolveParams };
+}
@@ -0,0 +1,118 @@
+// ============================================================================
+// CRON EXPRESSIONS
+// ============================================================================
+//
+// Minimal 5-field cron parser (minute hour day-of-month month day-of-week).
+// Supports `*`, lists (`1,15`), ranges (`1-5`), steps (`*/15`, `0-30/10`)
+// and the @hourly/@daily/@weekly/@monthly shortcuts. All times are UTC.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up after ~5 years of candidates; only impossible dates (e.g. 31 Feb)
+// can get that far.
+const MAX_ITERATIONS = 5 * 366 * 24 * 60;
+
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: "${value}"`);
+    }
+
+    const [, , startRaw, endRaw, stepRaw] = match;
+    const start = startRaw === undefined ? min : Number(startRaw);
+    const end = startRaw === undefined ? max : endRaw === undefined ? (stepRaw ? max : start) : Number(endRaw);
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: "${value}" (allowed ${min}-${max})`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      allowed.add(i);
+    }
+  }
+
+  return allowed;
+}
+
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+
+  const normalized = SHORTCUTS[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match.
+    // Like Vixie cron, a field starting with "*" (say "*/2") is unrestricted.
+    dayRestricted: !parts[2].startsWith('*') && !parts[4].startsWith('*')
+  };
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.daysOfWeek.has(date.getUTCDay());
+  return cron.dayRestricted ? domMatch || dowMatch : domMatch && dowMatch;
+}
+
+// Next time strictly after `from` that matches the expression
+export function nextCronRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression never matches: "${expression}"`);
+}
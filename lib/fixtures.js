@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// ============================================================================
+// HTML FIXTURES
+// ============================================================================
+//
+// A fixture directory holds captured pages plus a manifest.json mapping each
+// captured URL to its HTML file:
+//
+//   { "entries": [{ "url": "...", "file": "linkedin/search-....html", "kind": "search", "captured_at": "..." }] }
+//
+// In replay mode every page the scraper opens is served from this directory
+// through request interception, so extractors can run without network access.
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Query parameter order and fragments don't change what LinkedIn serves
+export function normalizeFixtureUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    u.searchParams.sort();
+    return u.toString();
+  } catch (_e) {
+    return url;
+  }
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+}
+
+export function createFixtureStore({ dir }) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  let entries = null;
+
+  async function loadManifest() {
+    try {
+      entries = JSON.parse(await fs.readFile(manifestPath, 'utf8')).entries || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      entries = [];
+    }
+    return entries;
+  }
+
+  async function lookup(url) {
+    if (!entries) await loadManifest();
+
+    const key = normalizeFixtureUrl(url);
+    const entry = entries.find(e => normalizeFixtureUrl(e.url) === key);
+    if (!entry) return null;
+
+    return fs.readFile(path.join(dir, entry.file), 'utf8');
+  }
+
+  async function save(url, html, { provider, kind, label }) {
+    await loadManifest();
+
+    const file = path.join(provider, `${kind}-${slugify(label || new URL(url).pathname)}.html`);
+    await fs.mkdir(path.join(dir, provider), { recursive: true });
+    await fs.writeFile(path.join(dir, file), html);
+
+    const key = normalizeFixtureUrl(url);
+    entries = entries.filter(e => normalizeFixtureUrl(e.url) !== key);
+    entries.push({ url, file, kind, captured_at: new Date().toISOString() });
+    await fs.writeFile(manifestPath, JSON.stringify({ entries }, null, 2));
+
+    return file;
+  }
+
+  return { lookup, save, reload: loadManifest };
+}
+
+// Serve documents from the fixture store and block everything else. Unknown
+// documents get a 404 page so a missing fixture fails like a broken page.
+// abort()/respond() reject once the page has closed or the request was
+// handled while the fixture was being read; those rejections are ignored.
+export async function enableFixtureReplay(page, store) {
+  await page.setRequestInterception(true);
+
+  page.on('request', async (request) => {
+    if (request.resourceType() !== 'document') {
+      return request.abort().catch(() => {});
+    }
+
+    try {
+      const html = await store.lookup(request.url());
+      if (html === null) {
+        console.warn(`⚠️ No fixture for ${request.url()}`);
+        return await request.respond({ status: 404, contentType: 'text/html', body: '<html><body>No fixture</body></html>' });
+      }
+      return await request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+    } catch (error) {
+      // Nothing to report when the page went away mid-lookup
+      if (!page.isClosed()) console.error(`❌ Fixture replay failed for ${request.url()}: ${error.message}`);
+      return request.abort().catch(() => {});
+    }
+  });
+}
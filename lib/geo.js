@@ -0,0 +1,273 @@
+import fs from 'fs/promises';
+
+// ============================================================================
+// GEO LOOKUP
+// ============================================================================
+//
+// Resolves location names to LinkedIn geoIds from a JSON table
+// (geo/linkedin.json by default):
+//
+//   { "version": "...", "locations": [{ "name": "Berlin", "geoId": "106967730",
+//     "type": "city", "country": "Germany", "aliases": ["..."] }] }
+//
+// Names match case-, accent- and punctuation-insensitively, against aliases
+// and "<name>, <country>" too. Small typos are accepted when exactly one
+// location is that close. The table can be edited and reloaded at runtime;
+// an invalid table is rejected and the previous one stays in use.
+
+// "Zürich, CH" -> "zurich ch"
+export function normalizeName(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Typos tolerated for a query of this length; short names must match exactly
+function maxTypos(query) {
+  if (query.length < 5) return 0;
+  return query.length < 8 ? 1 : 2;
+}
+
+function entryKeys({ name, country, aliases = [] }) {
+  const names = [name, ...aliases];
+  const keys = country ? [...names, ...names.map(n => `${n} ${country}`)] : names;
+  return [...new Set(keys.map(normalizeName))];
+}
+
+function buildTable(data) {
+  const errors = [];
+  const locations = [];
+  const byKey = new Map();
+  const byGeoId = new Map();
+
+  if (!Array.isArray(data?.locations)) {
+    return { errors: ['"locations" must be an array'] };
+  }
+
+  data.locations.forEach((raw, index) => {
+    const label = raw?.name ? `"${raw.name}"` : `locations[${index}]`;
+
+    if (typeof raw?.name !== 'string' || !normalizeName(raw.name)) {
+      errors.push(`${label}: missing "name"`);
+      return;
+    }
+    if (!/^\d+$/.test(String(raw.geoId ?? ''))) {
+      errors.push(`${label}: "geoId" must be numeric`);
+      return;
+    }
+    if (raw.aliases !== undefined && (!Array.isArray(raw.aliases) || raw.aliases.some(a => typeof a !== 'string'))) {
+      errors.push(`${label}: "aliases" must be an array of strings`);
+      return;
+    }
+
+    const location = {
+      name: raw.name,
+      geoId: String(raw.geoId),
+      type: raw.type || undefined,
+      country: raw.country || undefined,
+      aliases: raw.aliases || []
+    };
+
+    const sameId = byGeoId.get(location.geoId);
+    if (sameId) {
+      errors.push(`${label}: geoId ${location.geoId} is already used by "${sameId.name}"`);
+      return;
+    }
+
+    const keys = entryKeys(location);
+    const clash = keys.find(key => byKey.has(key));
+    if (clash) {
+      errors.push(`${label}: "${clash}" already refers to "${byKey.get(clash).name}"`);
+      return;
+    }
+
+    keys.forEach(key => byKey.set(key, location));
+    byGeoId.set(location.geoId, location);
+    locations.push(location);
+  });
+
+  return { errors, table: { version: data.version || null, locations, byKey, byGeoId } };
+}
+
+export function createGeoLookup({ filePath, logger = console }) {
+  let table = { version: null, locations: [], byKey: new Map(), byGeoId: new Map() };
+
+  async function reload() {
+    let errors;
+    let next;
+
+    try {
+      ({ errors, table: next } = buildTable(JSON.parse(await fs.readFile(filePath, 'utf8'))));
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    const applied = errors.length === 0;
+    if (applied) {
+      table = next;
+      logger.log(`🗺️ Geo table ${table.version || '(unversioned)'}: ${table.locations.length} location(s)`);
+    } else {
+      logger.error('❌ Geo table reload rejected:', errors.join(' | '));
+    }
+
+    return { applied, errors, version: table.version, count: table.locations.length };
+  }
+
+  // Locations ranked by how well any of their names matches `query`:
+  // exact, then prefix, then edit distance
+  function search(query, { limit = 5 } = {}) {
+    const q = normalizeName(query);
+    if (!q) return [];
+
+    const scored = table.locations.map((location) => {
+      const distance = Math.min(...entryKeys(location).map((key) => {
+        if (key === q) return 0;
+        if (key.startsWith(q)) return 0.5;
+        return editDistance(q, key);
+      }));
+      return { location, distance };
+    });
+
+    return scored
+      .filter(({ distance }) => distance <= maxTypos(q) + 1)
+      .sort((a, b) => a.distance - b.distance || a.location.name.localeCompare(b.location.name))
+      .slice(0, limit);
+  }
+
+  // { location, match: 'exact' | 'fuzzy' } or { error }
+  function resolve(name) {
+    const q = normalizeName(name);
+    const exact = table.byKey.get(q);
+    if (exact) return { location: exact, match: 'exact' };
+
+    const candidates = search(name);
+    const [best, second] = candidates.filter(({ distance }) => distance >= 1);
+    if (best && best.distance <= maxTypos(q) && second?.distance !== best.distance) {
+      return { location: best.location, match: 'fuzzy' };
+    }
+
+    const suggestions = candidates.slice(0, 3).map(({ location }) => location.name);
+    return {
+      error: suggestions.length > 0
+        ? `Unknown location: "${name}" (did you mean ${suggestions.join(', ')}?)`
+        : `Unknown location: "${name}" (not in the geo table; pass { "${name}": <geoId> } instead)`
+    };
+  }
+
+  // Check an explicitly given geoId against the table: { error }, { warning }
+  // or {} when it agrees
+  function checkGeoId(name, rawGeoId) {
+    const geoId = String(rawGeoId ?? '');
+    if (!/^\d+$/.test(geoId)) {
+      return { error: `Invalid geoId for ${name} (must be numeric)` };
+    }
+
+    const known = table.byKey.get(normalizeName(name));
+    const owner = table.byGeoId.get(geoId);
+    // A known name pointing at another known place is a copy-paste
+    // mistake; anything else may just be an area the table doesn't have
+    if (known && owner && owner !== known) {
+      return { error: `Conflicting geoId for ${name}: ${geoId} is ${owner.name} (${name} is ${known.geoId})` };
+    }
+    if (known && known.geoId !== geoId) {
+      return { warning: `${name} uses geoId ${geoId}; the geo table has ${known.geoId}` };
+    }
+    if (!known && owner) {
+      return { warning: `${name} uses geoId ${geoId}, which the geo table lists as ${owner.name}` };
+    }
+    return {};
+  }
+
+  // Turn request `locations` into a { name: geoId } map. Accepts an object of
+  // name -> geoId, or an array of names to look up and [name, geoId] pairs.
+  // Explicit geoIds are checked against the table. Returns
+  // { locations, warnings } or { error }.
+  function resolveLocations(input) {
+    const entries = [];
+    const warnings = [];
+
+    function addExplicit(name, geoId) {
+      if (typeof name !== 'string' || !normalizeName(name)) {
+        return 'Invalid locations (names must be non-empty strings)';
+      }
+      const { warning, error } = checkGeoId(name, geoId);
+      if (error) return error;
+      if (warning) warnings.push(warning);
+      entries.push([name, String(geoId), name]);
+      return null;
+    }
+
+    if (Array.isArray(input)) {
+      for (const item of input) {
+        if (Array.isArray(item)) {
+          const error = addExplicit(...item);
+          if (error) return { error };
+          continue;
+        }
+        if (typeof item !== 'string' || !normalizeName(item)) {
+          return { error: 'Invalid locations (names must be non-empty strings)' };
+        }
+        const { location, match, error } = resolve(item);
+        if (error) return { error };
+        if (match === 'fuzzy') {
+          warnings.push(`"${item}" resolved to ${location.name} (${location.geoId})`);
+        }
+        entries.push([location.name, location.geoId, item]);
+      }
+    } else if (input && typeof input === 'object') {
+      for (const [name, geoId] of Object.entries(input)) {
+        const error = addExplicit(name, geoId);
+        if (error) return { error };
+      }
+    } else {
+      return { error: 'Invalid locations (must be an array of names or an object of name to geoId)' };
+    }
+
+    const namesByGeoId = new Map();
+    const givenByName = new Map();
+    for (const [name, geoId, given] of entries) {
+      if (namesByGeoId.has(geoId)) {
+        return { error: `Duplicate geoId ${geoId} for ${namesByGeoId.get(geoId)} and ${given}` };
+      }
+      namesByGeoId.set(geoId, given);
+      // Later entries would silently replace earlier ones with the same name
+      if (givenByName.has(name)) {
+        return { error: `Duplicate location ${name} for ${givenByName.get(name)} and ${given}` };
+      }
+      givenByName.set(name, given);
+    }
+
+    return { locations: Object.fromEntries(entries.map(([name, geoId]) => [name, geoId])), warnings };
+  }
+
+  function info() {
+    return { version: table.version, count: table.locations.length };
+  }
+
+  function list() {
+    return table.locations;
+  }
+
+  return { reload, search, resolve, resolveLocations, info, list };
+}
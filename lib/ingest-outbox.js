@@ -0,0 +1,261 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// ============================================================================
+// INGEST OUTBOX
+// ============================================================================
+//
+// Ingest payloads that couldn't be delivered are written to disk and retried
+// with exponential backoff instead of being dropped. Each batch is one JSON
+// file: <dir>/pending/<id>.json while it's being retried, <dir>/dead/<id>.json
+// once it has used up `maxAttempts`. Dead-lettered batches stay until they
+// are replayed or discarded.
+//
+// `deliver(entry)` hands an entry to its `sink` and throws on failure;
+// `onDeadLetter(entry)` is called when a batch gives up.
+
+const DEFAULTS = {
+  maxAttempts: 6,
+  baseDelayMs: 30000,
+  maxDelayMs: 60 * 60 * 1000,
+  intervalMs: 5000
+};
+
+// Exponential backoff with jitter: the delay doubles per attempt (capped at
+// maxDelayMs) and the actual wait is a random point in its upper half, so
+// batches that failed together don't all retry together.
+export function backoffDelay(attempts, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+function outboxError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// What the list endpoints show; the payload itself is only returned by get
+export function summarizeEntry({ payload, ...entry }) {
+  return { ...entry, items: Array.isArray(payload?.jobs) ? payload.jobs.length : 1 };
+}
+
+export function createIngestOutbox({
+  dir,
+  deliver,
+  onDeadLetter = () => {},
+  maxAttempts = DEFAULTS.maxAttempts,
+  baseDelayMs = DEFAULTS.baseDelayMs,
+  maxDelayMs = DEFAULTS.maxDelayMs,
+  intervalMs = DEFAULTS.intervalMs,
+  logger = console
+}) {
+  const pendingDir = path.join(dir, 'pending');
+  const deadDir = path.join(dir, 'dead');
+  const pending = new Map();
+  const dead = new Map();
+  // Ids being delivered right now
+  const inFlight = new Set();
+  let loaded = null;
+  let timer = null;
+  let ticking = false;
+
+  async function readDir(entriesDir, into) {
+    let files;
+    try {
+      files = (await fs.readdir(entriesDir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(await fs.readFile(path.join(entriesDir, file), 'utf8'));
+        into.set(entry.id, entry);
+      } catch (error) {
+        logger.error(`❌ Skipping unreadable outbox entry ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  function load() {
+    if (!loaded) {
+      loaded = (async () => {
+        await readDir(pendingDir, pending);
+        await readDir(deadDir, dead);
+        if (pending.size > 0 || dead.size > 0) {
+          logger.log(`📮 Ingest outbox: ${pending.size} pending, ${dead.size} dead-lettered`);
+        }
+      })();
+    }
+    return loaded;
+  }
+
+  async function write(entriesDir, entry) {
+    await fs.mkdir(entriesDir, { recursive: true });
+    const filePath = path.join(entriesDir, `${entry.id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entry, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async function unlink(entriesDir, id) {
+    await fs.rm(path.join(entriesDir, `${id}.json`), { force: true });
+  }
+
+  function scheduleRetry(entry, error) {
+    entry.attempts++;
+    entry.last_error = error.message;
+    entry.last_attempt_at = new Date().toISOString();
+    entry.next_attempt_at = new Date(Date.now() + backoffDelay(entry.attempts, { baseDelayMs, maxDelayMs })).toISOString();
+  }
+
+  // Queue a payload whose first delivery to `sink` just failed with `error`
+  async function add(kind, payload, { sink, context = {}, error }) {
+    await load();
+
+    const entry = {
+      id: randomUUID(),
+      kind,
+      sink,
+      context,
+      created_at: new Date().toISOString(),
+      attempts: 0,
+      last_error: null,
+      last_attempt_at: null,
+      next_attempt_at: null,
+      payload
+    };
+    scheduleRetry(entry, error);
+
+    await write(pendingDir, entry);
+    pending.set(entry.id, entry);
+    logger.log(`📮 ${kind} batch ${entry.id} for ${sink} queued for retry at ${entry.next_attempt_at}`);
+    return entry;
+  }
+
+  // One delivery per entry at a time: a replay and a tick can both find the
+  // same entry due
+  async function attempt(entry) {
+    if (inFlight.has(entry.id)) {
+      return { delivered: false, error: 'Delivery already in progress' };
+    }
+    inFlight.add(entry.id);
+
+    try {
+      const result = await deliver(entry);
+      await unlink(pendingDir, entry.id);
+      pending.delete(entry.id);
+      logger.log(`✅ ${entry.kind} batch ${entry.id} delivered to ${entry.sink} after ${entry.attempts + 1} attempt(s)`);
+      return { delivered: true, result };
+    } catch (error) {
+      scheduleRetry(entry, error);
+
+      if (entry.attempts >= maxAttempts) {
+        entry.next_attempt_at = null;
+        entry.dead_lettered_at = new Date().toISOString();
+        await write(deadDir, entry);
+        await unlink(pendingDir, entry.id);
+        pending.delete(entry.id);
+        dead.set(entry.id, entry);
+        logger.error(`☠️ ${entry.kind} batch ${entry.id} for ${entry.sink} dead-lettered after ${entry.attempts} attempt(s): ${error.message}`);
+        await onDeadLetter(entry);
+      } else {
+        await write(pendingDir, entry);
+        logger.warn(`⚠️ ${entry.kind} batch ${entry.id} for ${entry.sink}: attempt ${entry.attempts} failed, next at ${entry.next_attempt_at}: ${error.message}`);
+      }
+
+      return { delivered: false, error: error.message };
+    } finally {
+      inFlight.delete(entry.id);
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      await load();
+      const now = Date.now();
+      const due = [...pending.values()].filter(entry => Date.parse(entry.next_attempt_at) <= now);
+
+      for (const entry of due) {
+        // Delivered or replayed while earlier entries were being attempted
+        if (pending.get(entry.id) !== entry || inFlight.has(entry.id)) continue;
+        await attempt(entry);
+      }
+    } catch (error) {
+      logger.error('❌ Ingest outbox tick failed:', error.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  async function start() {
+    if (timer) return;
+    await load();
+    timer = setInterval(tick, intervalMs);
+    await tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  async function listPending() {
+    await load();
+    return [...pending.values()];
+  }
+
+  async function listDead() {
+    await load();
+    return [...dead.values()].sort((a, b) => Date.parse(b.dead_lettered_at) - Date.parse(a.dead_lettered_at));
+  }
+
+  async function getDead(id) {
+    await load();
+    return dead.get(id) || null;
+  }
+
+  // Give a dead-lettered batch a fresh set of attempts and try it right away.
+  // If that attempt fails it stays in the retry queue rather than going
+  // straight back to the dead-letter store.
+  async function replay(id) {
+    await load();
+    const entry = dead.get(id);
+    if (!entry) {
+      throw outboxError(404, 'Dead-lettered batch not found');
+    }
+
+    delete entry.dead_lettered_at;
+    entry.attempts = 0;
+    entry.replayed_at = new Date().toISOString();
+    await write(pendingDir, entry);
+    await unlink(deadDir, id);
+    dead.delete(id);
+    pending.set(id, entry);
+
+    const outcome = await attempt(entry);
+    return { ...outcome, entry: summarizeEntry(entry) };
+  }
+
+  async function discard(id) {
+    await load();
+    if (!dead.has(id)) {
+      throw outboxError(404, 'Dead-lettered batch not found');
+    }
+    await unlink(deadDir, id);
+    dead.delete(id);
+    logger.log(`🗑️ Dead-lettered ingest batch ${id} discarded`);
+  }
+
+  function stats() {
+    return { pending: pending.size, dead: dead.size };
+  }
+
+  return { start, stop, add, tick, listPending, listDead, getDead, replay, discard, stats };
+}
@@ -0,0 +1,176 @@
+import { randomUUID } from 'crypto';
+
+// ============================================================================
+// BULK SCRAPE JOB QUEUE
+// ============================================================================
+//
+// In-memory FIFO queue for long-running bulk scrapes. Jobs are enqueued by the
+// HTTP handler and executed by `worker(job, { signal })` in the background, so
+// the request can return a job ID immediately. Finished jobs are kept around
+// for `retentionMs` so callers can still poll the final result.
+//
+// cancel() drops a queued job, or aborts `signal` for a running one; the
+// worker decides where it is safe to stop and the job ends as 'cancelled'.
+// `onCancel(job)` hears about queued jobs that were dropped, since the worker
+// never sees those. Beyond `maxPending` waiting jobs, enqueue() throws a 429.
+
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_RETAINED = 200;
+
+export function createJobQueue({
+  worker,
+  onCancel = () => {},
+  concurrency = 1,
+  maxPending = Infinity,
+  retentionMs = DEFAULT_RETENTION_MS,
+  maxRetained = DEFAULT_MAX_RETAINED,
+  logger = console
+}) {
+  const jobs = new Map();
+  const pending = [];
+  const controllers = new Map();
+  let running = 0;
+  let closed = false;
+  let idleWaiters = [];
+
+  function prune() {
+    const now = Date.now();
+    const finished = [...jobs.values()].filter(job => job.finished_at);
+
+    for (const job of finished) {
+      if (now - Date.parse(job.finished_at) > retentionMs) {
+        jobs.delete(job.id);
+      }
+    }
+
+    // Oldest finished jobs go first when we exceed the cap
+    const overflow = jobs.size - maxRetained;
+    if (overflow > 0) {
+      finished
+        .filter(job => jobs.has(job.id))
+        .sort((a, b) => Date.parse(a.finished_at) - Date.parse(b.finished_at))
+        .slice(0, overflow)
+        .forEach(job => jobs.delete(job.id));
+    }
+  }
+
+  async function runJob(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    running++;
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    logger.log(`▶️ Job ${job.id} started`);
+
+    try {
+      job.result = await worker(job, { signal: controller.signal });
+      job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+      logger.log(`✅ Job ${job.id} ${job.status}`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`❌ Job ${job.id} failed: ${error.message}`);
+    } finally {
+      job.finished_at = new Date().toISOString();
+      controllers.delete(job.id);
+      running--;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (!closed && running < concurrency && pending.length > 0) {
+      runJob(pending.shift());
+    }
+
+    if (running === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    }
+  }
+
+  function enqueue(params, extra = {}) {
+    if (closed) {
+      throw Object.assign(new Error('Queue is closed'), { status: 503 });
+    }
+    if (pending.length >= maxPending) {
+      throw Object.assign(new Error(`Queue is full: ${pending.length} job(s) waiting`), { status: 429 });
+    }
+    prune();
+
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      params,
+      ...extra,
+      result: null,
+      error: null
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    logger.log(`📥 Job ${job.id} queued (position ${pending.length})`);
+
+    // Defer so the caller can respond before the worker starts
+    setImmediate(drain);
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Returns the job, or null if unknown. Finished jobs are returned unchanged.
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || job.finished_at) return job || null;
+
+    const index = pending.indexOf(job);
+    if (index !== -1) {
+      pending.splice(index, 1);
+      job.status = 'cancelled';
+      job.finished_at = new Date().toISOString();
+      logger.log(`🛑 Job ${job.id} cancelled before it started`);
+      onCancel(job);
+      return job;
+    }
+
+    if (job.status === 'running') {
+      job.status = 'cancelling';
+      controllers.get(id).abort();
+      logger.log(`🛑 Job ${job.id} cancelling...`);
+    }
+    return job;
+  }
+
+  // Stop taking jobs and cancel everything; resolves once no job is running
+  function close() {
+    closed = true;
+    [...pending].forEach(job => cancel(job.id));
+    [...controllers.keys()].forEach(id => cancel(id));
+    return idle();
+  }
+
+  function idle() {
+    if (running === 0) return Promise.resolve();
+    return new Promise(resolve => idleWaiters.push(resolve));
+  }
+
+  function position(id) {
+    const index = pending.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  function stats() {
+    return {
+      queued: pending.length,
+      running,
+      retained: jobs.size
+    };
+  }
+
+  return { enqueue, get, cancel, close, position, stats };
+}
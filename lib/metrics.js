@@ -0,0 +1,209 @@
+// ============================================================================
+// PROMETHEUS METRICS
+// ============================================================================
+//
+// A small registry of counters, gauges and histograms rendered in the
+// Prometheus text exposition format (version 0.0.4), and the scraper's own
+// metrics on top of it, fed from bulk run events and sink deliveries:
+//
+//   scraper_jobs_scraped_total           jobs extracted, per keyword/location
+//   scraper_jobs_inserted_total          jobs inserted by Supabase, per keyword/location
+//   scraper_errors_total                 errors by type (see classifyError)
+//   scraper_job_scrapes_total            /scrape requests by outcome
+//   scraper_location_duration_seconds    time per keyword/location pair, by location
+//   scraper_ingest_duration_seconds      time per sink delivery
+//
+// Gauges (browsers, memory, queues) read their values when scraped; they are
+// registered by the caller with a `collect` function.
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DURATION_BUCKETS = [5, 10, 20, 30, 60, 120, 300, 600];
+const INGEST_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  // Each metric keeps its series in a Map keyed by the label values
+  function define(type, { name, help, labels = [] }, extra = {}) {
+    if (metrics.some(metric => metric.name === name)) {
+      throw new Error(`Metric already registered: ${name}`);
+    }
+    const metric = { type, name, help, labels, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labelValues = {}, create) {
+    const values = metric.labels.map(label => labelValues[label] ?? '');
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) metric.series.set(key, { values, ...create() });
+    return metric.series.get(key);
+  }
+
+  function counter(options) {
+    const metric = define('counter', options);
+    return {
+      inc(labelValues, amount = 1) {
+        seriesFor(metric, labelValues, () => ({ value: 0 })).value += amount;
+      }
+    };
+  }
+
+  // `collect(gauge)` runs before every render and sets the current values
+  function gauge({ collect, ...options }) {
+    const metric = define('gauge', options, { collect });
+    const handle = {
+      set(labelValues, value) {
+        if (value === null || value === undefined) return;
+        seriesFor(metric, labelValues, () => ({ value: 0 })).value = value;
+      }
+    };
+    metric.handle = handle;
+    return handle;
+  }
+
+  function histogram({ buckets, ...options }) {
+    const metric = define('histogram', options, { buckets: [...buckets].sort((a, b) => a - b) });
+    return {
+      observe(labelValues, value) {
+        const series = seriesFor(metric, labelValues, () => ({
+          counts: metric.buckets.map(() => 0),
+          sum: 0,
+          count: 0
+        }));
+        metric.buckets.forEach((bound, i) => {
+          if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  }
+
+  function renderSeries(metric, series) {
+    const { name, labels } = metric;
+    if (metric.type !== 'histogram') {
+      return [`${name}${formatLabels(labels, series.values)} ${formatValue(series.value)}`];
+    }
+    return [
+      ...metric.buckets.map((bound, i) =>
+        `${name}_bucket${formatLabels(labels, series.values, `le="${formatValue(bound)}"`)} ${series.counts[i]}`),
+      `${name}_bucket${formatLabels(labels, series.values, 'le="+Inf"')} ${series.count}`,
+      `${name}_sum${formatLabels(labels, series.values)} ${formatValue(series.sum)}`,
+      `${name}_count${formatLabels(labels, series.values)} ${series.count}`
+    ];
+  }
+
+  async function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      if (metric.collect) {
+        // Gauges only report what is there now
+        metric.series.clear();
+        await metric.collect(metric.handle);
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const series of metric.series.values()) {
+        lines.push(...renderSeries(metric, series));
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// Error type label for a scrape error message
+export function classifyError(message = '') {
+  if (/navigation timeout|ERR_TIMED_OUT/i.test(message)) return 'navigation_timeout';
+  if (/^Redirected away from jobs page/.test(message)) return 'redirect';
+  if (/^No job listings found/.test(message)) return 'zero_results';
+  return 'other';
+}
+
+export function createScrapeMetrics() {
+  const registry = createMetricsRegistry();
+
+  const jobsScraped = registry.counter({
+    name: 'scraper_jobs_scraped_total',
+    help: 'Jobs extracted from search results by bulk runs',
+    labels: ['keyword', 'location']
+  });
+  const jobsInserted = registry.counter({
+    name: 'scraper_jobs_inserted_total',
+    help: 'Jobs inserted by the Supabase sink in bulk runs',
+    labels: ['keyword', 'location']
+  });
+  const errors = registry.counter({
+    name: 'scraper_errors_total',
+    help: 'Scrape and ingest errors by type',
+    labels: ['type']
+  });
+  const jobScrapes = registry.counter({
+    name: 'scraper_job_scrapes_total',
+    help: 'Single job scrapes (/scrape) by outcome',
+    labels: ['outcome']
+  });
+  const locationDuration = registry.histogram({
+    name: 'scraper_location_duration_seconds',
+    help: 'Time to scrape and ingest one keyword/location pair',
+    // Locations are bounded by the geo table; keywords are not
+    labels: ['location', 'status'],
+    buckets: DURATION_BUCKETS
+  });
+  const ingestDuration = registry.histogram({
+    name: 'scraper_ingest_duration_seconds',
+    help: 'Time per batch delivery to a sink',
+    labels: ['sink', 'kind', 'outcome'],
+    buckets: INGEST_BUCKETS
+  });
+
+  // A runBulkScrape() progress event. Ingest errors are counted by
+  // observeDelivery() instead, which also sees /scrape deliveries.
+  function observeRunEvent({ type, pair, ...data }) {
+    const labels = pair ? { keyword: pair.keyword, location: pair.location } : {};
+
+    if (type === 'jobs_extracted') {
+      jobsScraped.inc(labels, data.scraped);
+    } else if (type === 'ingest_result') {
+      const inserted = data.sinks.supabase?.result?.inserted;
+      if (inserted) jobsInserted.inc(labels, inserted);
+    } else if (type === 'error') {
+      if (data.error.type !== 'ingest') errors.inc({ type: classifyError(data.error.error) });
+    } else if (type === 'pair_finished') {
+      const seconds = parseFloat(pair.duration);
+      if (Number.isFinite(seconds)) locationDuration.observe({ location: pair.location, status: pair.status }, seconds);
+    }
+  }
+
+  // createSinkDelivery() onDelivery hook
+  function observeDelivery({ sink, kind, seconds, error }) {
+    ingestDuration.observe({ sink, kind, outcome: error ? 'failed' : 'delivered' }, seconds);
+    if (error) errors.inc({ type: 'ingest_failure' });
+  }
+
+  function observeJobScrape(error = null) {
+    jobScrapes.inc({ outcome: error ? 'failed' : 'success' });
+    if (error) errors.inc({ type: classifyError(error.message) });
+  }
+
+  return { registry, observeRunEvent, observeDelivery, observeJobScrape };
+}
@@ -0,0 +1,78 @@
+import linkedin from './linkedin.js';
+
+// ============================================================================
+// JOB BOARD PROVIDERS
+// ============================================================================
+//
+// A provider wraps everything board-specific so the scraping loop in
+// lib/core stays generic. Each provider module default-exports an object
+// with:
+//
+//   name                                     unique id, also the `source` of ingested jobs
+//   selectorKeys                             { search: [...], detail: [...] } keys its
+//                                            selector profiles must define; `search`
+//                                            needs at least `jobListContainer`
+//   buildSearchUrl({ keyword, geoId, timeFilter, filters })
+//   parseFilters(raw) (optional)             { filters } normalized for buildSearchUrl, or
+//                                            { error }; a `timeWindow` filter comes back
+//                                            as the board's time filter value
+//   filtersSchema (optional)                 JSON Schema for the raw `filters` object
+//   isSearchPage(url)                        false when the board redirected us away
+//   isJobUrl(url)                            true for job detail URLs it can scrape
+//   canonicalizeUrl(url)                     stable job URL without tracking params
+//   dismissModal(page, search)               close sign-in/cookie overlays, never throws
+//   countJobCards(page, search)
+//   extractJobs(page, search)                search-result cards, each with a `job_id`
+//   loadMoreJobs(page, search)               'scroll' | 'button' | null when exhausted
+//   extractJobDetail(page, detail)           fields for a single job detail page
+//   healthCheck (optional)                   { cardSelector, cardFields, requiredCardFields,
+//                                            requiredDetailFields } for POST /selectors/check
+//
+// `search` and `detail` are the matching maps of the active selector profile
+// (see lib/selector-profiles.js).
+
+const REQUIRED_METHODS = [
+  'buildSearchUrl',
+  'isSearchPage',
+  'isJobUrl',
+  'canonicalizeUrl',
+  'dismissModal',
+  'countJobCards',
+  'extractJobs',
+  'loadMoreJobs',
+  'extractJobDetail'
+];
+
+export const DEFAULT_PROVIDER = 'linkedin';
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+  if (!provider?.name) {
+    throw new Error('Provider must have a name');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (!provider.selectorKeys?.search?.includes('jobListContainer')) {
+    missing.push('selectorKeys.search.jobListContainer');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Provider "${provider.name}" is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.name, provider);
+}
+
+export function getProvider(name = DEFAULT_PROVIDER) {
+  return providers.get(name) || null;
+}
+
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+export function allProviders() {
+  return [...providers.values()];
+}
+
+registerProvider(linkedin);
@@ -0,0 +1,459 @@
+// ============================================================================
+// LINKEDIN PROVIDER
+// ============================================================================
+//
+// Everything that knows about LinkedIn's guest job pages: search URLs, DOM
+// extraction, the sign-in modal and job URL canonicalization. Page methods
+// take the `search` or `detail` selectors of the run's selector profile.
+
+// Selectors come from the active profile in selector-profiles/linkedin/.
+// These are the keys every LinkedIn profile must define.
+const SELECTOR_KEYS = {
+  search: [
+    'signInModal',
+    'jobListContainer',
+    'jobCard',
+    'jobTitle',
+    'company',
+    'location',
+    'jobLink',
+    'companyImage',
+    'postingDate',
+    'seeMoreJobs'
+  ],
+  detail: [
+    'title',
+    'company',
+    'location',
+    'criteriaItem',
+    'criteriaSubheader',
+    'criteriaText',
+    'description',
+    'skills',
+    'postedDate'
+  ]
+};
+
+// What POST /selectors/check treats as required. Card fields are measured as
+// the share of job cards containing them; detail fields need any fallback.
+const HEALTH_CHECK = {
+  cardSelector: 'jobCard',
+  cardFields: ['jobTitle', 'company', 'location', 'jobLink', 'companyImage', 'postingDate'],
+  requiredCardFields: ['jobTitle', 'company', 'location', 'jobLink', 'postingDate'],
+  requiredDetailFields: ['title', 'company', 'location', 'description']
+};
+
+const LINKEDIN_CONFIG = {
+  baseUrl: 'https://www.linkedin.com/jobs/search/',
+  timeouts: {
+    signInModal: 3000,
+    loadMore: 6000
+  },
+  delays: {
+    signInDismiss: 1000,
+    scrollStep: 1500
+  }
+};
+
+// Structured search filters and the guest search URL parameters they map to.
+// Multi-value filters take a name or a list of names.
+const SEARCH_FILTERS = {
+  workplaceType: { param: 'f_WT', values: { 'on-site': '1', remote: '2', hybrid: '3' } },
+  experienceLevel: {
+    param: 'f_E',
+    values: { internship: '1', entry: '2', associate: '3', 'mid-senior': '4', director: '5', executive: '6' }
+  },
+  jobType: {
+    param: 'f_JT',
+    values: {
+      'full-time': 'F',
+      'part-time': 'P',
+      contract: 'C',
+      temporary: 'T',
+      volunteer: 'V',
+      internship: 'I',
+      other: 'O'
+    }
+  }
+};
+
+// f_TPR values for `timeWindow`; a number of seconds works too
+const TIME_WINDOWS = {
+  'past-hour': 'r3600',
+  'past-8-hours': 'r28800',
+  'past-24-hours': 'r86400',
+  'past-week': 'r604800',
+  'past-month': 'r2592000'
+};
+
+const SORT_ORDERS = { recent: 'DD', relevance: 'R' };
+
+// Miles; LinkedIn only offers these radii
+const DISTANCES = [0, 5, 10, 25, 50, 100];
+
+const FILTER_KEYS = [...Object.keys(SEARCH_FILTERS), 'timeWindow', 'companyIds', 'sortBy', 'distance'];
+
+// JSON Schema for `filters`, published by GET /schema and checked before parseFilters
+const FILTERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...Object.fromEntries(Object.entries(SEARCH_FILTERS).map(([key, { values }]) => {
+      const name = { type: 'string', enum: Object.keys(values) };
+      return [key, {
+        anyOf: [name, { type: 'array', items: name, minItems: 1 }],
+        errorMessage: `must be any of: ${Object.keys(values).join(', ')}`
+      }];
+    })),
+    timeWindow: {
+      anyOf: [{ type: 'string', enum: Object.keys(TIME_WINDOWS) }, { type: 'integer', minimum: 1 }],
+      errorMessage: `must be seconds or one of: ${Object.keys(TIME_WINDOWS).join(', ')}`
+    },
+    companyIds: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        anyOf: [{ type: 'integer', minimum: 0 }, { type: 'string', pattern: '^\\d+$' }],
+        errorMessage: 'must be a numeric LinkedIn company ID'
+      }
+    },
+    sortBy: { type: 'string', enum: Object.keys(SORT_ORDERS) },
+    distance: { type: 'integer', enum: DISTANCES, description: 'Miles' }
+  },
+  additionalProperties: false
+};
+
+// Validate and normalize a request's `filters` object. Returns { filters }
+// with stable value order (so equal filters compare equal in scrape_metadata)
+// or { error }. `timeWindow` comes back as an f_TPR value.
+function parseFilters(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Invalid filters (must be an object)' };
+  }
+
+  const unknown = Object.keys(raw).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown filter: ${unknown[0]} (available: ${FILTER_KEYS.join(', ')})` };
+  }
+
+  const filters = {};
+
+  for (const [key, { values }] of Object.entries(SEARCH_FILTERS)) {
+    if (raw[key] === undefined) continue;
+    const names = Array.isArray(raw[key]) ? raw[key] : [raw[key]];
+    const invalid = names.find(name => !Object.hasOwn(values, name));
+    if (names.length === 0 || invalid !== undefined) {
+      return { error: `Invalid filters.${key} (expected any of: ${Object.keys(values).join(', ')})` };
+    }
+    filters[key] = Object.keys(values).filter(name => names.includes(name));
+  }
+
+  if (raw.timeWindow !== undefined) {
+    if (Object.hasOwn(TIME_WINDOWS, raw.timeWindow)) {
+      filters.timeWindow = TIME_WINDOWS[raw.timeWindow];
+    } else if (Number.isInteger(raw.timeWindow) && raw.timeWindow > 0) {
+      filters.timeWindow = `r${raw.timeWindow}`;
+    } else {
+      return { error: `Invalid filters.timeWindow (expected seconds or one of: ${Object.keys(TIME_WINDOWS).join(', ')})` };
+    }
+  }
+
+  if (raw.companyIds !== undefined) {
+    const ids = Array.isArray(raw.companyIds) ? raw.companyIds.map(String) : [];
+    if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+      return { error: 'Invalid filters.companyIds (must be a non-empty array of numeric LinkedIn company IDs)' };
+    }
+    filters.companyIds = [...new Set(ids)].sort();
+  }
+
+  if (raw.sortBy !== undefined) {
+    if (!Object.hasOwn(SORT_ORDERS, raw.sortBy)) {
+      return { error: `Invalid filters.sortBy (expected one of: ${Object.keys(SORT_ORDERS).join(', ')})` };
+    }
+    filters.sortBy = raw.sortBy;
+  }
+
+  if (raw.distance !== undefined) {
+    if (!DISTANCES.includes(raw.distance)) {
+      return { error: `Invalid filters.distance (expected one of: ${DISTANCES.join(', ')} miles)` };
+    }
+    filters.distance = raw.distance;
+  }
+
+  return { filters };
+}
+
+// `filters` must come from parseFilters; its timeWindow is applied by the
+// caller through `timeFilter`
+function buildSearchUrl({ keyword, geoId, timeFilter, filters = {} }) {
+  const params = new URLSearchParams({
+    keywords: keyword,
+    f_TPR: timeFilter,
+    geoId: geoId.toString()
+  });
+
+  for (const [key, { param, values }] of Object.entries(SEARCH_FILTERS)) {
+    if (filters[key]) params.set(param, filters[key].map(name => values[name]).join(','));
+  }
+  if (filters.companyIds) params.set('f_C', filters.companyIds.join(','));
+  if (filters.sortBy) params.set('sortBy', SORT_ORDERS[filters.sortBy]);
+  if (filters.distance !== undefined) params.set('distance', filters.distance.toString());
+
+  return `${LINKEDIN_CONFIG.baseUrl}?${params.toString()}`;
+}
+
+function isSearchPage(url) {
+  return url.includes('linkedin.com/jobs/search');
+}
+
+function isJobUrl(url) {
+  try {
+    const u = new URL(url);
+    return /(^|\.)linkedin\.com$/.test(u.hostname) && u.pathname.startsWith('/jobs/view/');
+  } catch (_e) {
+    return false;
+  }
+}
+
+// Posting IDs are the 10-12 digits at the end of the path, after the slug
+// (which may contain digits of its own: "...-manager-2-at-acme-4012345678")
+const JOB_ID_PATTERN = /\/jobs\/view\/(?:[^/?#]*-)?(\d{10,12})\/?(?:[?#]|$)/;
+
+// Canonical posting ID of a job URL, '' when there is none
+export function jobIdFromUrl(jobUrl) {
+  const match = (jobUrl || '').match(JOB_ID_PATTERN);
+  return match ? match[1] : '';
+}
+
+function canonicalizeUrl(jobUrl) {
+  if (!jobUrl) return '';
+
+  try {
+    const u = new URL(jobUrl);
+    const jobId = jobIdFromUrl(u.pathname);
+    if (jobId) {
+      return `${u.origin}/jobs/view/${jobId}`;
+    }
+
+    const rootMatch = jobUrl.match(/^(https:\/\/[^\/]+)\/jobs\/view\//);
+    const idFromUrl = jobIdFromUrl(jobUrl);
+    if (rootMatch && idFromUrl) {
+      return `${rootMatch[1]}/jobs/view/${idFromUrl}`;
+    }
+
+    return jobUrl;
+  } catch (_e) {
+    // Not a URL we can parse; keep it as scraped
+    return jobUrl;
+  }
+}
+
+async function dismissModal(page, selectors) {
+  try {
+    const dismissButton = await page.waitForSelector(selectors.signInModal, {
+      timeout: LINKEDIN_CONFIG.timeouts.signInModal
+    });
+    if (dismissButton) {
+      await dismissButton.click();
+      await new Promise(resolve => setTimeout(resolve, LINKEDIN_CONFIG.delays.signInDismiss));
+    }
+  } catch (_e) {
+    // No modal appeared, continue
+  }
+}
+
+// Cards without a posting ID in their link are dropped: the ID is what runs
+// dedupe and remember jobs by
+async function extractJobs(page, selectors) {
+  const cards = await page.evaluate((selectors) => {
+    const jobListings = [];
+    const jobElements = document.querySelectorAll(selectors.jobCard);
+
+    jobElements.forEach((jobElement) => {
+      try {
+        const titleElement = jobElement.querySelector(selectors.jobTitle);
+        const jobTitle = titleElement ? titleElement.innerText.trim() : '';
+        const companyElement = jobElement.querySelector(selectors.company);
+        const company = companyElement ? companyElement.innerText.trim() : '';
+        const locationElement = jobElement.querySelector(selectors.location);
+        const location = locationElement ? locationElement.innerText.trim() : '';
+        const linkElement = jobElement.querySelector(selectors.jobLink);
+        const rawJobUrl = linkElement ? linkElement.href : '';
+        const imgElement = jobElement.querySelector(selectors.companyImage);
+        const imgUrl = imgElement ? imgElement.src : '';
+        const timeElement = jobElement.querySelector(selectors.postingDate);
+        const postingDate = timeElement ? timeElement.getAttribute('datetime') : '';
+        const postingTimeRelative = timeElement ? timeElement.innerText.trim() : '';
+
+        if (jobTitle && rawJobUrl) {
+          jobListings.push({
+            job_title: jobTitle,
+            company,
+            location,
+            url: rawJobUrl,
+            img_url: imgUrl,
+            posting_date: postingDate,
+            posting_time_relative: postingTimeRelative
+          });
+        }
+      } catch (_err) {}
+    });
+
+    return jobListings;
+  }, selectors);
+
+  return cards
+    .map(card => ({ job_id: jobIdFromUrl(card.url), ...card }))
+    .filter(card => card.job_id);
+}
+
+function countJobCards(page, selectors) {
+  return page.evaluate((selector) => {
+    return document.querySelectorAll(selector).length;
+  }, selectors.jobCard);
+}
+
+// Try to grow the results list: scroll to the bottom first (infinite scroll),
+// then fall back to clicking "See more jobs". Returns how it loaded more
+// cards ('scroll' or 'button'), or null when nothing new appeared.
+async function loadMoreJobs(page, selectors) {
+  const before = await countJobCards(page, selectors);
+  const waitForMore = () => page.waitForFunction(
+    (selector, count) => document.querySelectorAll(selector).length > count,
+    { timeout: LINKEDIN_CONFIG.timeouts.loadMore },
+    selectors.jobCard,
+    before
+  );
+
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+  await new Promise(resolve => setTimeout(resolve, LINKEDIN_CONFIG.delays.scrollStep));
+
+  if (await countJobCards(page, selectors) > before) {
+    return 'scroll';
+  }
+
+  const seeMoreButton = await page.$(selectors.seeMoreJobs);
+  if (seeMoreButton && await seeMoreButton.isVisible()) {
+    await seeMoreButton.click();
+    try {
+      await waitForMore();
+      return 'button';
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+// Extract LinkedIn-specific job data from a job detail page. Each detail
+// selector is a fallback list; the first one that matches wins.
+async function extractJobDetail(page, selectors) {
+  const { posted_text, ...detail } = await page.evaluate((selectors) => {
+    // Helper function to get text content safely
+    const getText = (selector) => {
+      const el = document.querySelector(selector);
+      return el ? el.innerText.trim() : null;
+    };
+
+    const firstText = (fallbacks) => {
+      for (const selector of fallbacks) {
+        const text = getText(selector);
+        if (text) return text;
+      }
+      return null;
+    };
+
+    const queryAll = (root, fallbacks) => {
+      for (const selector of fallbacks) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (elements.length > 0) return elements;
+      }
+      return [];
+    };
+
+    const title = firstText(selectors.title);
+    const company = firstText(selectors.company);
+    const location = firstText(selectors.location);
+
+    // Extract employment type & seniority from criteria
+    const criteriaItems = queryAll(document, selectors.criteriaItem);
+    let employment_type = null;
+    let seniority = null;
+
+    criteriaItems.forEach(item => {
+      const subheader = queryAll(item, selectors.criteriaSubheader)[0]?.innerText?.trim();
+      const text = queryAll(item, selectors.criteriaText)[0]?.innerText?.trim();
+
+      if (subheader?.includes('Employment type')) {
+        employment_type = text;
+      }
+      if (subheader?.includes('Seniority level')) {
+        seniority = text;
+      }
+    });
+
+    // Extract full job description
+    const description = firstText(selectors.description) ||
+                        document.body.innerText.substring(0, 5000);
+
+    // Extract skills (if visible)
+    const skills = queryAll(document, selectors.skills)
+      .map(el => el.innerText.trim())
+      .filter(Boolean);
+
+    // Posted date text like "3 days ago"; parsed outside the page
+    const posted_text = firstText(selectors.postedDate);
+
+    return {
+      title,
+      company,
+      location,
+      employment_type,
+      seniority,
+      description,
+      skills: skills.length > 0 ? skills : null,
+      posted_text,
+      url: window.location.href
+    };
+  }, selectors);
+
+  // Same job ID as the seen-jobs key and canonical URL
+  return { ...detail, external_id: jobIdFromUrl(detail.url) || null, posted_at: parseRelativeDate(posted_text) };
+}
+
+// Turn LinkedIn's relative posting text ("3 days ago", "1 hour ago") into an
+// ISO timestamp, or null when it doesn't match.
+export function parseRelativeDate(text, now = new Date()) {
+  if (!text) return null;
+
+  const match = text.match(/(\d+)\s+(day|hour|week|month)s?\s+ago/i);
+  if (!match) return null;
+
+  const amount = parseInt(match[1]);
+  const unit = match[2].toLowerCase();
+  const date = new Date(now.getTime());
+
+  if (unit === 'day') date.setDate(date.getDate() - amount);
+  else if (unit === 'hour') date.setHours(date.getHours() - amount);
+  else if (unit === 'week') date.setDate(date.getDate() - (amount * 7));
+  else if (unit === 'month') date.setMonth(date.getMonth() - amount);
+
+  return date.toISOString();
+}
+
+export default {
+  name: 'linkedin',
+  selectorKeys: SELECTOR_KEYS,
+  healthCheck: HEALTH_CHECK,
+  buildSearchUrl,
+  parseFilters,
+  filtersSchema: FILTERS_SCHEMA,
+  isSearchPage,
+  isJobUrl,
+  canonicalizeUrl,
+  dismissModal,
+  extractJobs,
+  countJobCards,
+  loadMoreJobs,
+  extractJobDetail
+};
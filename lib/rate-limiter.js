@@ -0,0 +1,23 @@
+// ============================================================================
+// RATE LIMITER
+// ============================================================================
+//
+// Spaces calls at least `minIntervalMs` apart, across every caller sharing
+// the limiter. Each wait() reserves the next free slot before sleeping, so
+// concurrent workers queue up instead of firing together.
+
+export function createRateLimiter({ minIntervalMs }) {
+  let nextSlot = 0;
+
+  async function wait() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + minIntervalMs;
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  return { wait };
+}
@@ -0,0 +1,162 @@
+// ============================================================================
+// ROUTE SCHEMAS
+// ============================================================================
+//
+// JSON Schemas for every request body, keyed by "METHOD /path". Enums and
+// limits come from the running server (providers, sinks, page caps), so
+// GET /schema always describes what this instance accepts. Checks that need
+// live state (sink configuration, geo lookups, provider URL rules) stay in
+// server.js and report problems in the same { field, message } format.
+
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+
+const GEO_ID = {
+  anyOf: [
+    { type: 'integer', minimum: 1 },
+    { type: 'string', pattern: '^\\d+$', errorMessage: 'must be a numeric geoId' }
+  ],
+  errorMessage: 'must be a numeric geoId'
+};
+
+// Same shapes as the local bulk script's keyword and location config
+const KEYWORDS = {
+  description: 'A list of keywords, or an object of keyword groups ({ "primary": ["..."], "extra": "..." })',
+  anyOf: [
+    { type: 'array', items: NON_EMPTY_STRING, minItems: 1 },
+    {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: {
+        anyOf: [NON_EMPTY_STRING, { type: 'array', items: NON_EMPTY_STRING, minItems: 1 }],
+        errorMessage: 'must be a keyword or a list of keywords'
+      }
+    }
+  ],
+  errorMessage: 'must be an array of keywords or an object of keyword groups'
+};
+
+const LOCATIONS = {
+  description: 'Location names to look up in the geo table, [name, geoId] pairs, or an object of name to geoId',
+  anyOf: [
+    {
+      type: 'array',
+      minItems: 1,
+      items: {
+        anyOf: [
+          NON_EMPTY_STRING,
+          {
+            type: 'array',
+            prefixItems: [NON_EMPTY_STRING, GEO_ID],
+            minItems: 2,
+            maxItems: 2,
+            errorMessage: 'must be a [name, geoId] pair'
+          }
+        ],
+        errorMessage: 'must be a location name or a [name, geoId] pair'
+      }
+    },
+    { type: 'object', minProperties: 1, additionalProperties: GEO_ID }
+  ],
+  errorMessage: 'must be an array of location names or an object of name to geoId'
+};
+
+const DRY_RUN = {
+  type: 'boolean',
+  description: 'Scrape as usual but send nothing; the response carries the requests each sink would have received'
+};
+
+function sinksSchema(sinkNames) {
+  return { type: 'array', items: { type: 'string', enum: sinkNames }, minItems: 1, uniqueItems: true };
+}
+
+export function buildRequestSchemas({ providers, sinkNames, maxPagesLimit, maxEnrichLimit }) {
+  const provider = { type: 'string', enum: providers.map(({ name }) => name) };
+  const sinks = sinksSchema(sinkNames);
+
+  const bulkProperties = {
+    provider,
+    sinks,
+    keywords: KEYWORDS,
+    locations: LOCATIONS,
+    timeFilter: { type: 'string', pattern: '^r\\d+$', errorMessage: 'must be a LinkedIn f_TPR value like "r86400"' },
+    filters: { type: 'object', description: 'Provider-specific search filters, see providers.<name>.filters' },
+    maxJobs: { type: 'integer', minimum: 1 },
+    maxPages: { type: 'integer', minimum: 1, maximum: maxPagesLimit },
+    concurrency: { type: 'integer', minimum: 1, description: 'Clamped to the server-wide limit' },
+    forceIngest: { type: 'boolean' },
+    enrich: { type: 'boolean' },
+    maxEnrich: { type: 'integer', minimum: 1, maximum: maxEnrichLimit },
+    dryRun: DRY_RUN
+  };
+
+  const bulkScrape = {
+    type: 'object',
+    required: ['keywords', 'locations'],
+    properties: bulkProperties,
+    additionalProperties: false
+  };
+
+  const scheduleProperties = {
+    name: { type: 'string', pattern: '^[a-zA-Z0-9_-]{1,64}$' },
+    cron: { type: 'string', description: '5-field cron expression (UTC)' },
+    enabled: { type: 'boolean' },
+    ...bulkProperties
+  };
+
+  return {
+    routes: {
+      'POST /scrape': {
+        type: 'object',
+        required: ['url', 'user_id'],
+        properties: {
+          url: { type: 'string', format: 'uri', description: 'Job detail URL for the provider' },
+          user_id: { type: ['string', 'integer'], minLength: 1 },
+          provider,
+          sinks,
+          dryRun: DRY_RUN
+        },
+        additionalProperties: false
+      },
+      'POST /bulk-scrape': bulkScrape,
+      'POST /schedules': {
+        type: 'object',
+        required: ['name', 'cron', 'keywords', 'locations'],
+        properties: scheduleProperties,
+        additionalProperties: false
+      },
+      'PATCH /schedules/:name': {
+        type: 'object',
+        properties: scheduleProperties,
+        additionalProperties: false
+      },
+      'POST /selectors/check': {
+        type: 'object',
+        properties: {
+          provider,
+          version: NON_EMPTY_STRING,
+          keyword: NON_EMPTY_STRING,
+          geoId: GEO_ID,
+          searchUrl: { type: 'string', format: 'uri' },
+          jobUrl: { type: 'string', format: 'uri' },
+          fixtures: {
+            type: 'object',
+            properties: { search: NON_EMPTY_STRING, job: NON_EMPTY_STRING },
+            additionalProperties: false
+          },
+          threshold: { type: 'number', minimum: 0, maximum: 1 },
+          alert: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      'POST /admin/selectors/:provider/activate': {
+        type: 'object',
+        required: ['version'],
+        properties: { version: NON_EMPTY_STRING },
+        additionalProperties: false
+      }
+    },
+    providers: Object.fromEntries(
+      providers.map(({ name, filtersSchema }) => [name, { filters: filtersSchema || null }])
+    )
+  };
+}
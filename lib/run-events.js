@@ -0,0 +1,84 @@
+import { EventEmitter } from 'events';
+
+// ============================================================================
+// BULK RUN EVENTS (SERVER-SENT EVENTS)
+// ============================================================================
+//
+// Progress events of bulk runs, streamed to dashboards as text/event-stream.
+// Each run keeps its own numbered log (run.events) so a client that connects
+// late, or reconnects with Last-Event-ID, gets what it missed before the live
+// events. The log lives on the queue job and goes away with it.
+//
+// Event types: run_queued, run_started, the runBulkScrape() progress events
+// (pair_started, jobs_extracted, ingest_result, screenshot, error,
+// pair_finished) and run_complete, after which the stream ends.
+
+const DEFAULT_MAX_EVENTS = 1000;
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+export const RUN_COMPLETE = 'run_complete';
+
+export function createRunEvents({ maxEvents = DEFAULT_MAX_EVENTS, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // `data` is serialized right away: pairs keep changing after the event
+  function publish(run, type, data = {}) {
+    run.events ||= [];
+    const last = run.events[run.events.length - 1];
+    const event = {
+      id: last ? last.id + 1 : 1,
+      type,
+      data: JSON.stringify({ run_id: run.id, at: new Date().toISOString(), ...data })
+    };
+
+    run.events.push(event);
+    // Keep the start of the story once the log is full; only the middle is lost
+    if (run.events.length > maxEvents) run.events.splice(1, 1);
+
+    emitter.emit(run.id, event);
+    return event;
+  }
+
+  function isComplete(run) {
+    return run.events?.at(-1)?.type === RUN_COMPLETE;
+  }
+
+  // Streams the run's events to `res` until run_complete or the client leaves
+  function stream(req, res, run) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const write = (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${event.data}\n\n`);
+
+    const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+    (run.events || []).filter(event => event.id > lastEventId).forEach(write);
+
+    if (isComplete(run)) {
+      res.end();
+      return;
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+    const listener = (event) => {
+      write(event);
+      if (event.type === RUN_COMPLETE) close();
+    };
+    const close = () => {
+      clearInterval(heartbeat);
+      emitter.off(run.id, listener);
+      res.end();
+    };
+
+    emitter.on(run.id, listener);
+    // Not req: a request emits 'close' as soon as its body has been read
+    res.on('close', close);
+  }
+
+  return { publish, stream };
+}
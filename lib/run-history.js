@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// ============================================================================
+// RUN HISTORY STORE
+// ============================================================================
+//
+// Append-only JSON-lines file with one record per /scrape or /bulk-scrape
+// run. Reads scan the whole file, which is fine for the volume a single
+// scraper instance produces and keeps the store dependency-free.
+
+const OUTCOMES = ['success', 'partial', 'failed', 'cancelled'];
+
+export function createRunHistory({ filePath }) {
+  async function record(run) {
+    const entry = {
+      id: run.id || randomUUID(),
+      recorded_at: new Date().toISOString(),
+      ...run
+    };
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+      console.log(`🗂️ Run ${entry.id} recorded (${entry.type}, ${entry.outcome})`);
+    } catch (error) {
+      // History is best-effort: never fail a scrape because we couldn't log it
+      console.error(`❌ Failed to record run ${entry.id}: ${error.message}`);
+    }
+
+    return entry;
+  }
+
+  async function readAll() {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const runs = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        runs.push(JSON.parse(line));
+      } catch (_e) {
+        // Skip a partially written line rather than failing the whole read
+      }
+    }
+    return runs;
+  }
+
+  async function list(filters = {}) {
+    const { from, to, keyword, location, outcome, type } = filters;
+    const limit = filters.limit ?? 50;
+    const offset = filters.offset ?? 0;
+
+    const keywordNeedle = keyword?.toLowerCase();
+    const locationNeedle = location?.toLowerCase();
+
+    const matches = (await readAll())
+      .filter(run => !from || Date.parse(run.started_at) >= from.getTime())
+      .filter(run => !to || Date.parse(run.started_at) <= to.getTime())
+      .filter(run => !outcome || run.outcome === outcome)
+      .filter(run => !type || run.type === type)
+      .filter(run => !keywordNeedle || (run.keywords || []).some(k => k.toLowerCase() === keywordNeedle))
+      .filter(run => !locationNeedle || (run.locations || []).some(l => l.toLowerCase() === locationNeedle))
+      .sort((a, b) => Date.parse(b.started_at) - Date.parse(a.started_at));
+
+    return {
+      total: matches.length,
+      runs: matches.slice(offset, offset + limit)
+    };
+  }
+
+  async function get(id) {
+    const runs = await readAll();
+    return runs.find(run => run.id === id) || null;
+  }
+
+  return { record, list, get };
+}
+
+// Parse GET /runs query params. Returns { filters } or { error }.
+export function parseRunFilters(query) {
+  const filters = {};
+
+  for (const key of ['from', 'to']) {
+    if (query[key]) {
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `Invalid date for "${key}": ${query[key]}` };
+      }
+      filters[key] = date;
+    }
+  }
+
+  if (query.outcome) {
+    if (!OUTCOMES.includes(query.outcome)) {
+      return { error: `Invalid outcome: ${query.outcome} (expected one of ${OUTCOMES.join(', ')})` };
+    }
+    filters.outcome = query.outcome;
+  }
+
+  for (const key of ['keyword', 'location', 'type']) {
+    if (query[key]) filters[key] = String(query[key]);
+  }
+
+  for (const key of ['limit', 'offset']) {
+    if (query[key] !== undefined) {
+      const value = Number(query[key]);
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `Invalid ${key}: ${query[key]}` };
+      }
+      filters[key] = value;
+    }
+  }
+
+  return { filters };
+}
+
+export function runOutcome({ fatalError, errors = [], cancelled = false }) {
+  if (fatalError) return 'failed';
+  if (cancelled) return 'cancelled';
+  return errors.length > 0 ? 'partial' : 'success';
+}
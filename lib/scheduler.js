@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { nextCronRun } from './cron.js';
+import { BULK_PARAM_KEYS } from './core/params.js';
+
+// ============================================================================
+// BULK SCRAPE SCHEDULER
+// ============================================================================
+//
+// Named schedules persisted to a JSON file. A timer checks every
+// `intervalMs` for due schedules and hands them to `runSchedule`, which
+// enqueues a bulk job and returns its ID. A schedule whose previous job is
+// still queued or running is skipped for that slot instead of stacking up.
+//
+// Besides its own fields, a schedule stores the bulk scrape parameters in
+// BULK_PARAM_KEYS, checked with `validateParams`, which returns a list of
+// { field, message } problems. Anything else on the input is not kept.
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const DEFAULT_INTERVAL_MS = 30000;
+
+// `errors` are field-level { field, message } problems for 400s
+function scheduleError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+function fieldError(field, message) {
+  return scheduleError(400, message, [{ field, message }]);
+}
+
+export function createScheduler({
+  filePath,
+  runSchedule,
+  isActive,
+  validateParams,
+  intervalMs = DEFAULT_INTERVAL_MS
+}) {
+  const schedules = new Map();
+  let timer = null;
+  let ticking = false;
+
+  async function load() {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const schedule of JSON.parse(content)) {
+      schedules.set(schedule.name, schedule);
+    }
+    console.log(`🗓️ Loaded ${schedules.size} schedule(s)`);
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify([...schedules.values()], null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function buildSchedule(input, existing = null) {
+    const merged = { ...existing, ...input };
+    const { name, cron } = merged;
+    const enabled = merged.enabled ?? true;
+    const params = Object.fromEntries(
+      Object.entries(merged).filter(([key]) => BULK_PARAM_KEYS.includes(key))
+    );
+
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw fieldError('name', 'Invalid schedule name (use 1-64 letters, digits, "-" or "_")');
+    }
+
+    // Also catches expressions that parse but never match, like "0 0 31 2 *"
+    const now = new Date();
+    let nextRun;
+    try {
+      nextRun = nextCronRun(cron, now);
+    } catch (error) {
+      throw fieldError('cron', error.message);
+    }
+
+    const paramErrors = validateParams(params);
+    if (paramErrors.length > 0) {
+      throw scheduleError(400, paramErrors.map(({ message }) => message).join('; '), paramErrors);
+    }
+
+    if (typeof enabled !== 'boolean') {
+      throw fieldError('enabled', 'enabled must be a boolean');
+    }
+
+    return {
+      name,
+      cron,
+      ...params,
+      enabled,
+      created_at: existing?.created_at || now.toISOString(),
+      updated_at: now.toISOString(),
+      last_run_at: existing?.last_run_at || null,
+      last_job_id: existing?.last_job_id || null,
+      last_error: existing?.last_error || null,
+      skipped_runs: existing?.skipped_runs || 0,
+      next_run_at: enabled ? nextRun.toISOString() : null
+    };
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      const now = new Date();
+      let changed = false;
+
+      for (const schedule of schedules.values()) {
+        if (!schedule.enabled || !schedule.next_run_at || Date.parse(schedule.next_run_at) > now.getTime()) {
+          continue;
+        }
+
+        if (schedule.last_job_id && isActive(schedule.last_job_id)) {
+          console.warn(`⏭️ Schedule "${schedule.name}" skipped - job ${schedule.last_job_id} still active`);
+          schedule.skipped_runs++;
+        } else {
+          try {
+            console.log(`\n🗓️ Running schedule "${schedule.name}" (${schedule.cron})`);
+            schedule.last_job_id = await runSchedule(schedule);
+            schedule.last_run_at = now.toISOString();
+            schedule.last_error = null;
+          } catch (error) {
+            console.error(`❌ Schedule "${schedule.name}" failed to start: ${error.message}`);
+            schedule.last_error = error.message;
+          }
+        }
+
+        // A hand-edited file may hold an expression that never matches;
+        // park that schedule rather than failing every tick
+        try {
+          schedule.next_run_at = nextCronRun(schedule.cron, now).toISOString();
+        } catch (error) {
+          console.error(`❌ Schedule "${schedule.name}" has no next run: ${error.message}`);
+          schedule.next_run_at = null;
+          schedule.last_error = error.message;
+        }
+        changed = true;
+      }
+
+      if (changed) await save();
+    } catch (error) {
+      console.error('❌ Scheduler tick failed:', error.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  async function start() {
+    if (timer) return;
+    await load();
+    timer = setInterval(tick, intervalMs);
+    await tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function list() {
+    return [...schedules.values()];
+  }
+
+  function get(name) {
+    return schedules.get(name) || null;
+  }
+
+  async function create(input) {
+    if (input?.name && schedules.has(input.name)) {
+      throw scheduleError(409, `Schedule "${input.name}" already exists`);
+    }
+    const schedule = buildSchedule(input || {});
+    schedules.set(schedule.name, schedule);
+    await save();
+    console.log(`🗓️ Schedule "${schedule.name}" created, next run ${schedule.next_run_at}`);
+    return schedule;
+  }
+
+  async function update(name, input) {
+    const existing = schedules.get(name);
+    if (!existing) {
+      throw scheduleError(404, 'Schedule not found');
+    }
+    const schedule = buildSchedule({ ...input, name }, existing);
+    schedules.set(name, schedule);
+    await save();
+    console.log(`🗓️ Schedule "${name}" updated, next run ${schedule.next_run_at}`);
+    return schedule;
+  }
+
+  async function remove(name) {
+    if (!schedules.delete(name)) {
+      throw scheduleError(404, 'Schedule not found');
+    }
+    await save();
+    console.log(`🗓️ Schedule "${name}" deleted`);
+  }
+
+  return { start, stop, list, get, create, update, remove };
+}
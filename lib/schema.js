@@ -0,0 +1,170 @@
+// ============================================================================
+// SCHEMA VALIDATION
+// ============================================================================
+//
+// A small JSON Schema validator for request bodies. Route schemas are plain
+// JSON Schema (published as-is by GET /schema), limited to the keywords
+// handled below. `errorMessage` on a schema replaces the generic message for
+// that value, e.g. to describe what an `anyOf` accepts.
+//
+// validate() returns a list of { field, message } problems; an empty list
+// means the value is valid. `field` is a path like "keywords[1]" or
+// "filters.workplaceType" ("" for the body itself).
+
+const ARTICLES = { array: 'an', integer: 'an', object: 'an' };
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(type) {
+  return `${ARTICLES[type] || 'a'} ${type}`;
+}
+
+function fieldLabel(field) {
+  return field || 'body';
+}
+
+function childField(field, key) {
+  return typeof key === 'number' ? `${field}[${key}]` : (field ? `${field}.${key}` : key);
+}
+
+function problem(field, text) {
+  return { field, message: `${fieldLabel(field)} ${text}` };
+}
+
+// A custom message stands in for problems with the value itself, not its children
+function withCustomMessage(schema, errors, field) {
+  if (!schema.errorMessage || !errors.some(error => error.field === field)) return errors;
+  return [problem(field, schema.errorMessage), ...errors.filter(error => error.field !== field)];
+}
+
+function schemaTypes(schema) {
+  if (schema.type) return [].concat(schema.type);
+  return (schema.anyOf || []).flatMap(schemaTypes);
+}
+
+// Pick the branch that fits the value's type so a typo inside a list reports
+// "keywords[1] must be a string" rather than just "doesn't match any shape".
+// `errorMessage` is only used when no branch has the right type.
+function validateAnyOf(schema, value, field) {
+  const results = schema.anyOf.map(branch => validate(branch, value, field));
+  if (results.some(errors => errors.length === 0)) return [];
+
+  const candidates = schema.anyOf
+    .map((branch, index) => ({ types: schemaTypes(branch), errors: results[index] }))
+    .filter(({ types }) => types.some(type => matchesType(value, type)));
+  if (candidates.length === 1) return candidates[0].errors;
+
+  const allowed = [...new Set(schema.anyOf.flatMap(schemaTypes))].map(describeType);
+  return [problem(field, schema.errorMessage || `must be ${allowed.join(' or ')}`)];
+}
+
+function validateObject(schema, value, field) {
+  const errors = [];
+  const properties = schema.properties || {};
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) errors.push(problem(childField(field, key), 'is required'));
+  }
+
+  if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    errors.push(problem(field, 'must not be empty'));
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    if (properties[key]) {
+      errors.push(...validate(properties[key], item, childField(field, key)));
+    } else if (schema.additionalProperties === false) {
+      errors.push(problem(childField(field, key), 'is not a known field'));
+    } else if (typeof schema.additionalProperties === 'object') {
+      errors.push(...validate(schema.additionalProperties, item, childField(field, key)));
+    }
+  }
+
+  return errors;
+}
+
+function validateArray(schema, value, field) {
+  const errors = [];
+
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(problem(field, schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`));
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(problem(field, `must have at most ${schema.maxItems} items`));
+  }
+  if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+    errors.push(problem(field, 'must not contain duplicates'));
+  }
+
+  value.forEach((item, index) => {
+    const itemSchema = schema.prefixItems?.[index] || schema.items;
+    if (itemSchema) errors.push(...validate(itemSchema, item, childField(field, index)));
+  });
+
+  return errors;
+}
+
+function validateScalar(schema, value, field) {
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(problem(field, `must be one of: ${schema.enum.join(', ')}`));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(problem(field, 'must not be empty'));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(problem(field, `must match ${schema.pattern}`));
+    }
+    if (schema.format === 'uri' && !URL.canParse(value)) {
+      errors.push(problem(field, 'must be an absolute URL'));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && schema.maximum !== undefined &&
+        (value < schema.minimum || value > schema.maximum)) {
+      errors.push(problem(field, `must be between ${schema.minimum} and ${schema.maximum}`));
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(problem(field, `must be at least ${schema.minimum}`));
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(problem(field, `must be at most ${schema.maximum}`));
+    }
+  }
+
+  return errors;
+}
+
+export function validate(schema, value, field = '') {
+  if (schema.anyOf) return validateAnyOf(schema, value, field);
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [problem(field, schema.errorMessage || `must be ${types.map(describeType).join(' or ')}`)];
+  }
+
+  let errors;
+  if (typeOf(value) === 'object') errors = validateObject(schema, value, field);
+  else if (typeOf(value) === 'array') errors = validateArray(schema, value, field);
+  else errors = validateScalar(schema, value, field);
+
+  return withCustomMessage(schema, errors, field);
+}
+
+// Body for a 400 response: a one-line summary plus every problem found
+export function validationErrorBody(errors) {
+  return { error: errors.map(({ message }) => message).join('; '), errors };
+}
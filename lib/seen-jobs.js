@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// ============================================================================
+// SEEN-JOBS CACHE
+// ============================================================================
+//
+// Remembers which jobs were already sent to the sinks so overlapping keywords,
+// neighbouring geoIds and back-to-back runs don't re-post them. Keys are
+// canonical job IDs ("<provider>:<job_id>") mapped to when they were last
+// sent; entries older than `ttlMs` are forgotten. Persisted as one JSON file.
+//
+// `claim` is synchronous so concurrent workers can't both treat the same job
+// as new; claims for batches that never made it out are `release`d.
+
+export function createSeenJobs({ filePath, ttlMs, logger = console }) {
+  const seen = new Map();
+  let loaded = null;
+  let saving = Promise.resolve();
+
+  function expired(seenAt, now) {
+    return now - seenAt > ttlMs;
+  }
+
+  function load() {
+    if (!loaded) {
+      loaded = (async () => {
+        try {
+          const now = Date.now();
+          for (const [key, seenAt] of Object.entries(JSON.parse(await fs.readFile(filePath, 'utf8')))) {
+            if (!expired(seenAt, now)) seen.set(key, seenAt);
+          }
+          logger.log(`🧠 Seen-jobs cache: ${seen.size} job(s) within TTL`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error(`❌ Could not read seen-jobs cache, starting empty: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return loaded;
+  }
+
+  async function write() {
+    const now = Date.now();
+    for (const [key, seenAt] of seen) {
+      if (expired(seenAt, now)) seen.delete(key);
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(seen)));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  // Writes are best-effort and serialized; losing the cache only means
+  // some duplicates get posted again
+  function save() {
+    saving = saving.then(write).catch((error) => {
+      logger.error(`❌ Failed to save seen-jobs cache: ${error.message}`);
+    });
+    return saving;
+  }
+
+  function split(keys, { force = false } = {}, mark) {
+    const now = Date.now();
+    const fresh = [];
+    const duplicates = [];
+
+    for (const key of keys) {
+      const seenAt = seen.get(key);
+      if (!force && seenAt !== undefined && !expired(seenAt, now)) {
+        duplicates.push(key);
+      } else {
+        if (mark) seen.set(key, now);
+        fresh.push(key);
+      }
+    }
+
+    return { fresh, duplicates };
+  }
+
+  // Split `keys` into ones not seen within the TTL (now claimed) and
+  // duplicates. With `force` everything is claimed and nothing skipped.
+  function claim(keys, options) {
+    return split(keys, options, true);
+  }
+
+  // Same split without claiming anything, for dry runs
+  function check(keys, options) {
+    return split(keys, options, false);
+  }
+
+  function release(keys) {
+    for (const key of keys) seen.delete(key);
+  }
+
+  function stats() {
+    return { size: seen.size, ttl_hours: ttlMs / (60 * 60 * 1000) };
+  }
+
+  return { load, check, claim, release, save, stats };
+}
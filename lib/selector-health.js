@@ -0,0 +1,89 @@
+// ============================================================================
+// SELECTOR HEALTH CHECK
+// ============================================================================
+//
+// Counts how many elements each selector of a profile matches on a loaded
+// search page and job page, so DOM drift shows up as numbers instead of
+// quietly empty fields. Card fields are also measured as coverage: the share
+// of job cards that contain the field.
+
+export const DEFAULT_HEALTH_THRESHOLD = 0.8;
+
+export async function checkSearchPage(page, searchSelectors, healthCheck) {
+  return page.evaluate((selectors, { cardSelector, cardFields }) => {
+    const cards = Array.from(document.querySelectorAll(selectors[cardSelector]));
+    const report = {};
+
+    for (const [key, selector] of Object.entries(selectors)) {
+      let hits = 0;
+      try {
+        hits = document.querySelectorAll(selector).length;
+      } catch (_e) {
+        hits = -1; // Invalid selector syntax
+      }
+
+      const entry = { selector, hits };
+      if (cardFields.includes(key)) {
+        const cardsWithField = cards.filter(card => {
+          try {
+            return card.querySelector(selector) !== null;
+          } catch (_e) {
+            return false;
+          }
+        }).length;
+        entry.cards_with_field = cardsWithField;
+        entry.coverage = cards.length > 0 ? cardsWithField / cards.length : 0;
+      }
+      report[key] = entry;
+    }
+
+    return { cards: cards.length, selectors: report };
+  }, searchSelectors, healthCheck);
+}
+
+export async function checkDetailPage(page, detailSelectors) {
+  return page.evaluate((selectors) => {
+    const report = {};
+
+    for (const [key, fallbacks] of Object.entries(selectors)) {
+      const results = fallbacks.map(selector => {
+        try {
+          return { selector, hits: document.querySelectorAll(selector).length };
+        } catch (_e) {
+          return { selector, hits: -1 };
+        }
+      });
+      const matched = results.find(result => result.hits > 0);
+      report[key] = { matched: matched ? matched.selector : null, fallbacks: results };
+    }
+
+    return { fields: report };
+  }, detailSelectors);
+}
+
+// List the required fields that fell below the threshold
+export function findFailingFields({ search, detail }, healthCheck, threshold) {
+  const failing = [];
+
+  if (search) {
+    if (search.cards === 0) {
+      failing.push(`search.${healthCheck.cardSelector} (no job cards found)`);
+    }
+    for (const key of healthCheck.requiredCardFields) {
+      const entry = search.selectors[key];
+      if (search.cards > 0 && entry && entry.coverage < threshold) {
+        failing.push(`search.${key} (${Math.round(entry.coverage * 100)}% of ${search.cards} cards)`);
+      }
+    }
+  }
+
+  if (detail) {
+    for (const key of healthCheck.requiredDetailFields) {
+      if (!detail.fields[key]?.matched) {
+        failing.push(`detail.${key} (no fallback matched)`);
+      }
+    }
+  }
+
+  return failing;
+}
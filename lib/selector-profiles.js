@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// ============================================================================
+// SELECTOR PROFILES
+// ============================================================================
+//
+// DOM selectors live in versioned JSON files under
+// <dir>/<provider>/<version>.json instead of in code, so a LinkedIn markup
+// change can be handled by dropping in a new profile and calling the reload
+// endpoint. Each profile has a `search` map (one selector per key) and a
+// `detail` map (ordered fallback lists). The newest version of each provider
+// is active unless another one is activated at runtime.
+
+function compareVersions(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+function validateProfile(profile, { search, detail }) {
+  const problems = [];
+
+  if (!profile.version || typeof profile.version !== 'string') {
+    problems.push('missing "version"');
+  }
+
+  for (const key of search) {
+    if (typeof profile.search?.[key] !== 'string' || !profile.search[key].trim()) {
+      problems.push(`search.${key} must be a non-empty string`);
+    }
+  }
+
+  for (const key of detail) {
+    const value = profile.detail?.[key];
+    if (!Array.isArray(value) || value.length === 0 || value.some(s => typeof s !== 'string' || !s.trim())) {
+      problems.push(`detail.${key} must be a non-empty array of selectors`);
+    }
+  }
+
+  return problems;
+}
+
+export function createSelectorProfiles({ dir, providers, logger = console }) {
+  // provider name -> { versions: Map<version, profile>, active: version, pinned: bool }
+  let registry = new Map();
+
+  async function loadProvider(provider) {
+    const providerDir = path.join(dir, provider.name);
+    const files = (await fs.readdir(providerDir)).filter(file => file.endsWith('.json'));
+    const versions = new Map();
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        const profile = JSON.parse(await fs.readFile(path.join(providerDir, file), 'utf8'));
+        const problems = validateProfile(profile, provider.selectorKeys);
+        if (problems.length > 0) {
+          errors.push(`${provider.name}/${file}: ${problems.join('; ')}`);
+          continue;
+        }
+        if (profile.provider && profile.provider !== provider.name) {
+          errors.push(`${provider.name}/${file}: profile is for provider "${profile.provider}"`);
+          continue;
+        }
+        versions.set(profile.version, { ...profile, provider: provider.name, file });
+      } catch (error) {
+        errors.push(`${provider.name}/${file}: ${error.message}`);
+      }
+    }
+
+    return { versions, errors };
+  }
+
+  // Load every provider's profiles. The new set only replaces the current
+  // one if every provider ends up with at least one valid profile, so a bad
+  // file on disk can't take a running server down.
+  async function reload() {
+    const next = new Map();
+    const errors = [];
+
+    for (const provider of providers()) {
+      try {
+        const { versions, errors: fileErrors } = await loadProvider(provider);
+        errors.push(...fileErrors);
+
+        if (versions.size === 0) {
+          errors.push(`${provider.name}: no valid selector profiles in ${path.join(dir, provider.name)}`);
+          continue;
+        }
+
+        const current = registry.get(provider.name);
+        const latest = [...versions.keys()].sort(compareVersions).pop();
+        const keepPinned = current?.pinned && versions.has(current.active);
+
+        next.set(provider.name, {
+          versions,
+          active: keepPinned ? current.active : latest,
+          pinned: Boolean(keepPinned)
+        });
+      } catch (error) {
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    const complete = providers().every(provider => next.has(provider.name));
+    if (complete) {
+      registry = next;
+      logger.log(`🧩 Selector profiles loaded: ${[...next].map(([name, entry]) => `${name}@${entry.active}`).join(', ')}`);
+    } else {
+      logger.error('❌ Selector profile reload rejected:', errors.join(' | '));
+    }
+
+    return { applied: complete, errors, profiles: list() };
+  }
+
+  function getActive(providerName) {
+    const entry = registry.get(providerName);
+    if (!entry) {
+      throw new Error(`No selector profile loaded for provider "${providerName}"`);
+    }
+    return entry.versions.get(entry.active);
+  }
+
+  function get(providerName, version) {
+    return registry.get(providerName)?.versions.get(version) || null;
+  }
+
+  function activate(providerName, version) {
+    const entry = registry.get(providerName);
+    if (!entry || !entry.versions.has(version)) {
+      return null;
+    }
+    entry.active = version;
+    entry.pinned = true;
+    logger.log(`🧩 Selector profile ${providerName}@${version} activated`);
+    return entry.versions.get(version);
+  }
+
+  function list() {
+    return [...registry].map(([name, entry]) => ({
+      provider: name,
+      active: entry.active,
+      pinned: entry.pinned,
+      versions: [...entry.versions.values()]
+        .sort((a, b) => compareVersions(a.version, b.version))
+        .map(({ version, description, file }) => ({ version, description, file }))
+    }));
+  }
+
+  return { reload, get, getActive, activate, list };
+}
+
+export function profileLabel(profile) {
+  return `${profile.provider}@${profile.version}`;
+}
@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// ============================================================================
+// FILE SINK
+// ============================================================================
+//
+// Appends jobs to a local file per kind and UTC day, e.g.
+// <dir>/bulk-2026-01-31.ndjson. NDJSON keeps each job as one JSON line; CSV
+// flattens nested fields (`scrape_metadata.keyword`) and takes its columns
+// from the file's header, so later batches line up with the first one.
+// With `filePath` every batch goes to that one file instead (CLI --output).
+
+export const FILE_FORMATS = ['ndjson', 'csv'];
+
+function flatten(value, prefix = '', out = {}) {
+  for (const [key, field] of Object.entries(value)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (field && typeof field === 'object' && !Array.isArray(field)) {
+      flatten(field, column, out);
+    } else {
+      out[column] = Array.isArray(field) ? field.join('; ') : field;
+    }
+  }
+  return out;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function readCsvHeader(filePath) {
+  try {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(64 * 1024), 0, 64 * 1024, 0);
+      const firstLine = buffer.toString('utf8', 0, bytesRead).split('\n')[0];
+      return firstLine ? firstLine.split(',') : null;
+    } finally {
+      await handle.close();
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export function createFileSink({ dir, format = 'ndjson', filePath: fixedPath = null, logger = console }) {
+  const problems = FILE_FORMATS.includes(format)
+    ? []
+    : [`SINK_FILE_FORMAT must be one of: ${FILE_FORMATS.join(', ')}`];
+
+  // Workers share the sink; serialize writes so CSV headers and lines
+  // from different batches don't interleave
+  let writing = Promise.resolve();
+
+  function targetFile(kind) {
+    return fixedPath || path.join(dir, `${kind}-${new Date().toISOString().slice(0, 10)}.${format}`);
+  }
+
+  async function write({ kind, jobs }) {
+    const filePath = targetFile(kind);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    let content;
+    if (format === 'csv') {
+      const rows = jobs.map(job => flatten(job));
+      let columns = await readCsvHeader(filePath);
+      content = '';
+      if (!columns) {
+        columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        content += `${columns.join(',')}\n`;
+      }
+      content += rows.map(row => columns.map(column => csvCell(row[column])).join(',')).join('\n') + '\n';
+    } else {
+      content = jobs.map(job => JSON.stringify(job)).join('\n') + '\n';
+    }
+
+    await fs.appendFile(filePath, content);
+    logger.log(`💾 Wrote ${jobs.length} job(s) to ${filePath}`);
+    return { file: filePath, written: jobs.length };
+  }
+
+  function deliver(batch) {
+    const result = writing.then(() => write(batch));
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    name: 'file',
+    description: fixedPath
+      ? `Append to ${format.toUpperCase()} file ${fixedPath}`
+      : `Append to ${format.toUpperCase()} files in ${dir}`,
+    problems,
+    deliver,
+    preview: ({ kind, jobs }) => ({ file: targetFile(kind), format, jobs })
+  };
+}
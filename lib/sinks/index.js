@@ -0,0 +1,97 @@
+import path from 'path';
+import { createSupabaseSink } from './supabase.js';
+import { createWebhookSink } from './webhook.js';
+import { createFileSink } from './file.js';
+import { createStdoutSink } from './stdout.js';
+
+// ============================================================================
+// OUTPUT SINKS
+// ============================================================================
+//
+// A sink is where scraped jobs end up. Each run (or schedule) names one or
+// more sinks and every batch is delivered to each of them independently.
+// Sink modules export a factory returning:
+//
+//   name                       unique id used in requests
+//   description
+//   problems                   configuration problems; a sink with any can't be used
+//   deliver({ kind, jobs, context })
+//                              kind is 'bulk' (search cards) or 'job' (one detail
+//                              page); resolves with a sink-specific result and
+//                              throws when the batch wasn't accepted
+//   preview({ kind, jobs, context })
+//                              what deliver() would send (request URL and body,
+//                              target file, ...) without sending it, for dry runs
+
+export function createSinkRegistry(sinks) {
+  const byName = new Map(sinks.map(sink => [sink.name, sink]));
+
+  function get(name) {
+    return byName.get(name) || null;
+  }
+
+  function list() {
+    return sinks.map(({ name, description, problems }) => ({
+      name,
+      description,
+      configured: problems.length === 0,
+      problems: problems.length > 0 ? problems : undefined
+    }));
+  }
+
+  // Error message for an unusable `sinks` request value, or null
+  function validate(names) {
+    if (!Array.isArray(names) || names.length === 0 || names.some(name => typeof name !== 'string')) {
+      return 'Invalid sinks (must be a non-empty array of sink names)';
+    }
+
+    for (const name of names) {
+      const sink = byName.get(name);
+      if (!sink) {
+        return `Unknown sink: ${name} (available: ${[...byName.keys()].join(', ')})`;
+      }
+      if (sink.problems.length > 0) {
+        return `Sink "${name}" is not configured: ${sink.problems.join('; ')}`;
+      }
+    }
+
+    if (new Set(names).size !== names.length) {
+      return 'Invalid sinks (duplicate sink names)';
+    }
+
+    return null;
+  }
+
+  return { get, list, validate };
+}
+
+// Every sink, configured from environment variables (same set for the server
+// and the CLI). `overrides` replace the sinks of the same name.
+export function sinkRegistryFromEnv(env, { dataDir, overrides = [], logger = console }) {
+  const sinks = [
+    createSupabaseSink({
+      ingestJobUrl: env.INGEST_JOB_URL,
+      bulkIngestUrl: env.INGEST_BULK_URL,
+      serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY,
+      logger
+    }),
+    createWebhookSink({
+      url: env.WEBHOOK_URL,
+      secret: env.WEBHOOK_SECRET,
+      logger
+    }),
+    createFileSink({
+      dir: env.SINK_FILE_DIR || path.join(dataDir, 'output'),
+      format: env.SINK_FILE_FORMAT || 'ndjson',
+      logger
+    }),
+    createStdoutSink()
+  ];
+
+  return createSinkRegistry(sinks.map(sink => overrides.find(({ name }) => name === sink.name) || sink));
+}
+
+export { createSupabaseSink, deriveBulkIngestUrl } from './supabase.js';
+export { createWebhookSink, signWebhookBody } from './webhook.js';
+export { createFileSink } from './file.js';
+export { createStdoutSink } from './stdout.js';
@@ -0,0 +1,21 @@
+// ============================================================================
+// STDOUT SINK
+// ============================================================================
+//
+// Prints each job as one JSON line, for piping the server or CLI output
+// into other tools.
+
+export function createStdoutSink({ stream = process.stdout } = {}) {
+  async function deliver({ kind, jobs, context }) {
+    stream.write(jobs.map(job => JSON.stringify({ kind, context, job })).join('\n') + '\n');
+    return { written: jobs.length };
+  }
+
+  return {
+    name: 'stdout',
+    description: 'NDJSON lines on standard output',
+    problems: [],
+    deliver,
+    preview: ({ kind, jobs, context }) => ({ lines: jobs.map(job => ({ kind, context, job })) })
+  };
+}
@@ -0,0 +1,101 @@
+// ============================================================================
+// SUPABASE SINK
+// ============================================================================
+//
+// The original output: single jobs go to the ingest-job edge function, bulk
+// batches to ingest-scraped-jobs.
+
+// The bulk function lives next to ingest-job; only swap the last path segment
+// so other URL shapes (proxies, custom domains) aren't mangled.
+export function deriveBulkIngestUrl(ingestJobUrl) {
+  try {
+    const u = new URL(ingestJobUrl);
+    const segments = u.pathname.replace(/\/+$/, '').split('/');
+    if (segments[segments.length - 1] !== 'ingest-job') return null;
+    segments[segments.length - 1] = 'ingest-scraped-jobs';
+    u.pathname = segments.join('/');
+    return u.toString();
+  } catch (_e) {
+    return null;
+  }
+}
+
+export function createSupabaseSink({ ingestJobUrl, bulkIngestUrl, serviceRoleKey, logger = console }) {
+  const bulkUrl = bulkIngestUrl || (ingestJobUrl && deriveBulkIngestUrl(ingestJobUrl));
+
+  const problems = [];
+  if (!ingestJobUrl) problems.push('INGEST_JOB_URL not set');
+  if (!bulkUrl) problems.push('INGEST_BULK_URL not set and not derivable from INGEST_JOB_URL');
+  if (!serviceRoleKey) problems.push('SUPABASE_SERVICE_ROLE_KEY not set');
+
+  function post(url, body) {
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${serviceRoleKey}`,
+        'apikey': serviceRoleKey
+      },
+      body: JSON.stringify(body)
+    });
+  }
+
+  // Send bulk scraped jobs to ingest-scraped-jobs edge function
+  async function sendBulkJobs(jobs) {
+    try {
+      logger.log(`📤 Posting ${jobs.length} jobs to Supabase edge function...`);
+      logger.log(`🎯 URL: ${bulkUrl}`);
+
+      const response = await post(bulkUrl, { jobs });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        logger.error(`❌ Bulk ingest error: ${response.status} - ${errorText}`);
+        throw new Error(`Failed to ingest jobs: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json();
+      logger.log(`✅ Successfully posted ${jobs.length} jobs to Supabase`);
+      logger.log(`   Inserted: ${result.inserted || 0}`);
+      return result;
+
+    } catch (error) {
+      logger.error('Error sending bulk jobs to Supabase:', error.message);
+      throw error;
+    }
+  }
+
+  // Send scraped data to ingest-job edge function
+  async function sendJob(jobData) {
+    try {
+      logger.log(`🎯 Calling ingest-job: ${ingestJobUrl}`);
+
+      const response = await post(ingestJobUrl, jobData);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        logger.error(`❌ ingest-job error: ${response.status} - ${errorText}`);
+        throw new Error(`Failed to ingest job: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json();
+      logger.log('✅ ingest-job response:', result);
+
+      return result;
+
+    } catch (error) {
+      logger.error('Error sending to ingest-job:', error.message);
+      throw error;
+    }
+  }
+
+  return {
+    name: 'supabase',
+    description: 'Supabase ingest-job / ingest-scraped-jobs edge functions',
+    problems,
+    deliver: ({ kind, jobs }) => kind === 'bulk' ? sendBulkJobs(jobs) : sendJob(jobs[0]),
+    preview: ({ kind, jobs }) => kind === 'bulk'
+      ? { method: 'POST', url: bulkUrl, body: { jobs } }
+      : { method: 'POST', url: ingestJobUrl, body: jobs[0] }
+  };
+}
@@ -0,0 +1,54 @@
+import { createHmac } from 'crypto';
+
+// ============================================================================
+// WEBHOOK SINK
+// ============================================================================
+//
+// POSTs every batch as JSON to WEBHOOK_URL:
+//
+//   { "kind": "bulk" | "job", "context": { ... }, "jobs": [ ... ] }
+//
+// With a secret, the request carries X-Scraper-Timestamp and
+// X-Scraper-Signature: sha256=<hex HMAC of "<timestamp>.<body>">, so the
+// receiver can verify the sender and reject replays.
+
+export function signWebhookBody(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function createWebhookSink({ url, secret, timeoutMs = 15000, logger = console }) {
+  const problems = url ? [] : ['WEBHOOK_URL not set'];
+
+  async function deliver({ kind, jobs, context }) {
+    const body = JSON.stringify({ kind, context, jobs });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Scraper-Timestamp'] = timestamp;
+      headers['X-Scraper-Signature'] = signWebhookBody(secret, timestamp, body);
+    }
+
+    logger.log(`🪝 Posting ${jobs.length} job(s) to webhook...`);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Webhook rejected jobs: ${response.status} - ${errorText}`);
+    }
+
+    return { status: response.status, delivered: jobs.length };
+  }
+
+  return {
+    name: 'webhook',
+    description: 'Signed JSON POST to WEBHOOK_URL',
+    problems,
+    deliver,
+    preview: ({ kind, jobs, context }) => ({ method: 'POST', url, signed: Boolean(secret), body: { kind, context, jobs } })
+  };
+}
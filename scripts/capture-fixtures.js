@@ -0,0 +1,100 @@
+// ============================================================================
+// CAPTURE HTML FIXTURES
+// ============================================================================
+//
+// Saves live pages into the fixture directory used by FIXTURE_REPLAY=true and
+// POST /selectors/check.
+//
+//   node scripts/capture-fixtures.js search "Product Manager" 106967730
+//   node scripts/capture-fixtures.js job https://www.linkedin.com/jobs/view/1234567890
+//
+// Options: --provider <name>, --dir <fixtures dir>, --label <file label>,
+//          --time-filter <r86400>, --headed
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { launchBrowser, openPage, scrapeConfigFromEnv } from '../lib/core/index.js';
+import { allProviders, getProvider, DEFAULT_PROVIDER } from '../lib/providers/index.js';
+import { createSelectorProfiles } from '../lib/selector-profiles.js';
+import { createFixtureStore } from '../lib/fixtures.js';
+
+const APP_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage:
+  node scripts/capture-fixtures.js search <keyword> <geoId> [options]
+  node scripts/capture-fixtures.js job <url> [options]`;
+
+async function capture() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      provider: { type: 'string', default: DEFAULT_PROVIDER },
+      dir: { type: 'string', default: process.env.FIXTURES_DIR || path.join(APP_DIR, 'fixtures') },
+      label: { type: 'string' },
+      'time-filter': { type: 'string', default: 'r86400' },
+      headed: { type: 'boolean', default: false }
+    }
+  });
+
+  const [kind, ...args] = positionals;
+  const provider = getProvider(values.provider);
+  if (!provider) {
+    throw new Error(`Unknown provider: ${values.provider}`);
+  }
+
+  let url;
+  let label = values.label;
+  if (kind === 'search' && args.length === 2) {
+    const [keyword, geoId] = args;
+    url = provider.buildSearchUrl({ keyword, geoId, timeFilter: values['time-filter'] });
+    label = label || `${keyword}-${geoId}`;
+  } else if (kind === 'job' && args.length === 1) {
+    url = args[0];
+    label = label || url.match(/(\d{6,})/)?.[1];
+  } else {
+    throw new Error(USAGE);
+  }
+
+  const selectorProfiles = createSelectorProfiles({
+    dir: process.env.SELECTOR_PROFILES_DIR || path.join(APP_DIR, 'selector-profiles'),
+    providers: allProviders
+  });
+  await selectorProfiles.reload();
+  const profile = selectorProfiles.getActive(provider.name);
+
+  // Same browser, user agent and viewport as the scrapers (lib/core), so the
+  // fixtures show what they would see
+  const config = scrapeConfigFromEnv(process.env);
+  const store = createFixtureStore({ dir: values.dir });
+  const browser = await launchBrowser({ ...config.browser, headless: !values.headed });
+
+  try {
+    const page = await openPage(browser, {
+      viewport: kind === 'job' ? config.job.viewport : config.viewport,
+      userAgent: config.userAgent
+    });
+
+    console.log(`🌐 Capturing ${kind} page: ${url}`);
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: kind === 'job' ? config.job.navigationTimeout : config.timeouts.navigation
+    });
+
+    if (kind === 'search') {
+      await provider.dismissModal(page, profile.search);
+      await page.waitForSelector(profile.search.jobListContainer, { timeout: config.timeouts.jobList });
+      console.log(`📊 ${await provider.countJobCards(page, profile.search)} job card(s) on page`);
+    }
+
+    const file = await store.save(url, await page.content(), { provider: provider.name, kind, label });
+    console.log(`✅ Saved ${path.join(values.dir, file)}`);
+  } finally {
+    await browser.close();
+  }
+}
+
+capture().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
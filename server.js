@@ -1,20 +1,132 @@
 import express from 'express';
-import puppeteer from 'puppeteer';
+import fs from 'fs/promises';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath } from 'url';
+import { createJobQueue } from './lib/job-queue.js';
+import { cgroupMemoryLimitMb, createMemoryGuard, createWorkLimiter } from './lib/admission.js';
+import { createRunHistory, parseRunFilters, runOutcome } from './lib/run-history.js';
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createScrapeMetrics } from './lib/metrics.js';
+import { RUN_COMPLETE, createRunEvents } from './lib/run-events.js';
+import { createScheduler } from './lib/scheduler.js';
+import { DEFAULT_PROVIDER, allProviders, getProvider } from './lib/providers/index.js';
+import { createSelectorProfiles, profileLabel } from './lib/selector-profiles.js';
+import { DEFAULT_HEALTH_THRESHOLD, checkDetailPage, checkSearchPage, findFailingFields } from './lib/selector-health.js';
+import { createFixtureStore } from './lib/fixtures.js';
+import { createIngestOutbox, summarizeEntry } from './lib/ingest-outbox.js';
+import { createSeenJobs } from './lib/seen-jobs.js';
+import { createGeoLookup } from './lib/geo.js';
+import { validate, validationErrorBody } from './lib/schema.js';
+import { buildRequestSchemas } from './lib/request-schemas.js';
+import { sinkRegistryFromEnv } from './lib/sinks/index.js';
+import {
+  createBulkParams,
+  createRunState,
+  createScraperCore,
+  openPage,
+  pickBulkParams,
+  resolveSearch,
+  scrapeConfigFromEnv
+} from './lib/core/index.js';
 
 const app = express();
 app.use(express.json());
 
+// Set on SIGTERM/SIGINT: anything that changes state is refused while
+// active runs wind down; reads keep working
+let shuttingDown = false;
+
+app.use((req, res, next) => {
+  if (shuttingDown && !['GET', 'HEAD'].includes(req.method)) {
+    res.set('Connection', 'close');
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+  next();
+});
+
 const PORT = process.env.PORT || 10000;
 
 // Configuration
 const INGEST_JOB_URL = process.env.INGEST_JOB_URL;
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const API_SECRET = process.env.API_SECRET;
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const APP_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.resolve(process.env.FIXTURES_DIR || path.join(APP_DIR, 'fixtures'));
+// Serve every scraped page from FIXTURES_DIR instead of the live site
+const FIXTURE_REPLAY = process.env.FIXTURE_REPLAY === 'true';
+
+// Timeouts, delays and limits for bulk runs and single job scrapes
+const SCRAPE_CONFIG = scrapeConfigFromEnv(process.env);
+
+// Admission control: /scrape requests, selector checks and bulk runs share
+// MAX_ACTIVE_WORK slots, and new work is turned away with 429 while the
+// resident memory of Node plus its browsers is above MEMORY_LIMIT_MB.
+// MEMORY_LIMIT_MB defaults to 85% of the container's cgroup memory limit; on
+// a host without one the guard is off unless MEMORY_LIMIT_MB is set. 0
+// turns it off explicitly.
+const RETRY_AFTER_SECONDS = parseInt(process.env.RETRY_AFTER_SECONDS) || 30;
+const workLimiter = createWorkLimiter({
+  maxActive: parseInt(process.env.MAX_ACTIVE_WORK) || 2,
+  maxQueued: parseInt(process.env.MAX_QUEUED_SCRAPES) || 10,
+  queueTimeoutMs: parseInt(process.env.SCRAPE_QUEUE_TIMEOUT_MS) || 30000,
+  retryAfter: RETRY_AFTER_SECONDS
+});
+const containerMemoryMb = await cgroupMemoryLimitMb();
+const MEMORY_LIMIT_MB = process.env.MEMORY_LIMIT_MB !== undefined
+  ? parseInt(process.env.MEMORY_LIMIT_MB) || 0
+  : Math.floor((containerMemoryMb || 0) * 0.85);
+const memoryGuard = createMemoryGuard({
+  limitMb: MEMORY_LIMIT_MB,
+  retryAfter: RETRY_AFTER_SECONDS
+});
 
-// Validate environment variables
-if (!INGEST_JOB_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+// Sinks used when a request or schedule doesn't name any
+const DEFAULT_SINKS = (process.env.DEFAULT_SINKS || 'supabase').split(',').map(name => name.trim()).filter(Boolean);
+
+const sinkRegistry = sinkRegistryFromEnv(process.env, { dataDir: DATA_DIR });
+
+// Validate environment variables: the default sinks must be usable
+const defaultSinksError = sinkRegistry.validate(DEFAULT_SINKS);
+if (defaultSinksError) {
   console.error('⚠️ Missing required environment variables!');
-  console.error('Required: INGEST_JOB_URL, SUPABASE_SERVICE_ROLE_KEY');
+  console.error(`DEFAULT_SINKS (${DEFAULT_SINKS.join(', ')}): ${defaultSinksError}`);
+  process.exit(1);
+}
+
+const runHistory = createRunHistory({
+  filePath: process.env.RUN_HISTORY_PATH || path.join(DATA_DIR, 'runs.jsonl')
+});
+
+const fixtureStore = createFixtureStore({ dir: FIXTURES_DIR });
+
+// Jobs sent within the TTL are skipped by later bulk runs
+const seenJobs = createSeenJobs({
+  filePath: process.env.SEEN_JOBS_PATH || path.join(DATA_DIR, 'seen-jobs.json'),
+  ttlMs: (parseFloat(process.env.SEEN_JOBS_TTL_HOURS) || 72) * 60 * 60 * 1000
+});
+
+const selectorProfiles = createSelectorProfiles({
+  dir: process.env.SELECTOR_PROFILES_DIR || path.join(APP_DIR, 'selector-profiles'),
+  providers: allProviders
+});
+
+const initialProfiles = await selectorProfiles.reload();
+if (!initialProfiles.applied) {
+  console.error('⚠️ Could not load selector profiles!');
+  initialProfiles.errors.forEach(error => console.error(`   ${error}`));
+  process.exit(1);
+}
+
+// Location names -> geoIds for /bulk-scrape and schedules
+const geo = createGeoLookup({
+  filePath: process.env.GEO_TABLE_PATH || path.join(APP_DIR, 'geo', 'linkedin.json')
+});
+
+const initialGeo = await geo.reload();
+if (!initialGeo.applied) {
+  console.error('⚠️ Could not load geo table!');
+  initialGeo.errors.forEach(error => console.error(`   ${error}`));
   process.exit(1);
 }
 
@@ -35,180 +147,48 @@ function validateApiSecret(req, res, next) {
   next();
 }
 
-// ============================================================================
-// BULK SCRAPING CONFIGURATION
-// ============================================================================
-
-// LinkedIn selectors (update here when LinkedIn changes their DOM)
-const SELECTORS = {
-  signInModal: '.contextual-sign-in-modal__modal-dismiss-icon',
-  jobListContainer: 'ul.jobs-search__results-list',
-  jobCard: 'ul.jobs-search__results-list li',
-  jobTitle: 'h3.base-search-card__title',
-  company: 'h4.base-search-card__subtitle',
-  location: 'span.job-search-card__location',
-  jobLink: 'a.base-card__full-link',
-  companyImage: 'img[data-ghost-classes="artdeco-entity-image--ghost"]',
-  postingDate: 'time.job-search-card__listdate--new'
-};
-
-const BULK_SCRAPE_CONFIG = {
-  timeFilter: "r28800", // Past 24 hours
-  baseUrl: "https://www.linkedin.com/jobs/search/",
-  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  viewport: { width: 1280, height: 720 },
-  timeouts: {
-    navigation: 20000,
-    jobList: 8000,
-    signInModal: 3000
-  },
-  delays: {
-    postNavigation: 2000,
-    pageStabilize: 3000,
-    signInDismiss: 1000,
-    zeroResultsExtra: 3000
-  }
-};
-
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-// Take screenshot and save to /tmp
-async function takeScreenshot(page, filename, description) {
-  try {
-    // Pre-flight checks
-    if (!page || page.isClosed()) {
-      console.warn(`⚠️ Cannot screenshot ${description} - page is closed`);
-      return null;
-    }
-    
-    const path = `/tmp/${filename}`;
-    const screenshotOptions = {
-      path,
-      fullPage: false,
-      timeout: 5000
-    };
-    
-    await page.screenshot(screenshotOptions);
-    console.log(`📸 Screenshot saved: ${description} -> ${filename}`);
-    return filename;
-  } catch (error) {
-    console.warn(`⚠️ Screenshot failed for ${description}: ${error.message}`);
-    return null;
-  }
-}
-
-function transformJobUrl(jobUrl) {
-  if (!jobUrl) return '';
-  
-  try {
-    const u = new URL(jobUrl);
-    const idFromPath = u.pathname.match(/\/jobs\/view\/.*-(\d{10,12})(?:[?#]|$)/);
-    if (idFromPath && idFromPath[1]) {
-      return `${u.origin}/jobs/view/${idFromPath[1]}`;
-    }
-
-    const rootMatch = jobUrl.match(/^(https:\/\/[^\/]+)\/jobs\/view\//);
-    const idMatch = jobUrl.match(/\/jobs\/view\/.*-(\d{10,12})(?:[?#]|$)/);
-    if (rootMatch && idMatch) {
-      return `${rootMatch[1]}/jobs/view/${idMatch[1]}`;
-    }
-
-    return jobUrl;
-  } catch (error) {
-    console.error('Error transforming job URL:', error);
-    return jobUrl;
-  }
-}
-
-function buildLinkedInUrl(keyword, geoId) {
-  const params = new URLSearchParams({
-    keywords: keyword,
-    f_TPR: BULK_SCRAPE_CONFIG.timeFilter,
-    geoId: geoId.toString()
-  });
-  return `${BULK_SCRAPE_CONFIG.baseUrl}?${params.toString()}`;
-}
-
-async function closeSignInModal(page) {
-  try {
-    const dismissButton = await page.waitForSelector(SELECTORS.signInModal, {
-      timeout: BULK_SCRAPE_CONFIG.timeouts.signInModal
-    });
-    if (dismissButton) {
-      await dismissButton.click();
-      await new Promise(resolve => setTimeout(resolve, BULK_SCRAPE_CONFIG.delays.signInDismiss));
-    }
-  } catch (_e) {
-    // No modal appeared, continue
-  }
-}
-
-async function extractJobs(page) {
-  return page.evaluate((selectors) => {
-    const jobListings = [];
-    const jobElements = document.querySelectorAll(selectors.jobCard);
-
-    jobElements.forEach((jobElement) => {
-      try {
-        const titleElement = jobElement.querySelector(selectors.jobTitle);
-        const jobTitle = titleElement ? titleElement.innerText.trim() : '';
-        const companyElement = jobElement.querySelector(selectors.company);
-        const company = companyElement ? companyElement.innerText.trim() : '';
-        const locationElement = jobElement.querySelector(selectors.location);
-        const location = locationElement ? locationElement.innerText.trim() : '';
-        const linkElement = jobElement.querySelector(selectors.jobLink);
-        const rawJobUrl = linkElement ? linkElement.href : '';
-        const imgElement = jobElement.querySelector(selectors.companyImage);
-        const imgUrl = imgElement ? imgElement.src : '';
-        const timeElement = jobElement.querySelector(selectors.postingDate);
-        const postingDate = timeElement ? timeElement.getAttribute('datetime') : '';
-        const postingTimeRelative = timeElement ? timeElement.innerText.trim() : '';
-
-        let jobId = '';
-        if (rawJobUrl) {
-          try {
-            const url = new URL(rawJobUrl);
-            const idFromPath = url.pathname.match(/\/jobs\/view\/.*?(\d+)/);
-            if (idFromPath && idFromPath[1]) {
-              jobId = idFromPath[1];
-            }
-          } catch (_e) {
-            const idMatch = rawJobUrl.match(/\/jobs\/view\/.*?(\d+)/);
-            if (idMatch) jobId = idMatch[1];
-          }
-        }
-
-        if (jobTitle && jobId) {
-          jobListings.push({
-            job_id: jobId,
-            job_title: jobTitle,
-            company,
-            location,
-            url: rawJobUrl,
-            img_url: imgUrl,
-            posting_date: postingDate,
-            posting_time_relative: postingTimeRelative
-          });
-        }
-      } catch (_err) {}
-    });
-
-    return jobListings;
-  }, SELECTORS);
+function sendBusy(res, error) {
+  const retryAfter = error.retryAfter || RETRY_AFTER_SECONDS;
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: error.message, retry_after: retryAfter });
 }
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
+app.get('/health', async (req, res) => {
+  // 503 while shutting down so load balancers stop routing here
+  res.status(shuttingDown ? 503 : 200).json({
+    status: shuttingDown ? 'shutting_down' : 'healthy',
     timestamp: new Date().toISOString(),
     config: {
       ingestJobUrl: !!INGEST_JOB_URL,
       serviceRoleKey: !!SUPABASE_SERVICE_ROLE_KEY,
-      apiSecret: !!API_SECRET
-    }
+      apiSecret: !!API_SECRET,
+      fixtureReplay: FIXTURE_REPLAY,
+      defaultSinks: DEFAULT_SINKS
+    },
+    sinks: sinkRegistry.list(),
+    ingest_outbox: outbox.stats(),
+    seen_jobs: seenJobs.stats(),
+    browser_pool: core.pool.stats(),
+    admission: {
+      work: workLimiter.stats(),
+      memory: await memoryGuard.stats(),
+      bulk_queue: bulkQueue.stats()
+    },
+    geo: geo.info()
+  });
+});
+
+// Prometheus metrics, unauthenticated like /health
+app.get('/metrics', async (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(await metrics.registry.render());
+});
+
+// JSON Schemas for request bodies, for client generation
+app.get('/schema', (req, res) => {
+  res.json({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    ...requestSchemas
   });
 });
 
@@ -231,612 +211,917 @@ app.get('/screenshots/:filename', validateApiSecret, (req, res) => {
   });
 });
 
+// ============================================================================
+// RUN HISTORY ENDPOINTS
+// ============================================================================
+
+app.get('/runs', validateApiSecret, async (req, res) => {
+  const { filters, error } = parseRunFilters(req.query);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { total, runs } = await runHistory.list(filters);
+    res.json({ total, count: runs.length, runs });
+  } catch (err) {
+    console.error('❌ Failed to read run history:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/runs/:id', validateApiSecret, async (req, res) => {
+  try {
+    const run = await runHistory.get(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    res.json(run);
+  } catch (err) {
+    console.error('❌ Failed to read run history:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============================================================================
 // BULK SCRAPE ENDPOINT
 // ============================================================================
 
+// Bulk runs can take far longer than the load balancer allows a request to
+// stay open, so the handler only enqueues the run and returns a job ID.
+const bulkQueue = createJobQueue({
+  worker: runBulkJob,
+  onCancel: recordQueuedCancel,
+  concurrency: Number(process.env.BULK_QUEUE_CONCURRENCY) || 1,
+  maxPending: parseInt(process.env.BULK_QUEUE_MAX) || 20
+});
+
+function formatBulkJob(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    queue_position: bulkQueue.position(job.id) ?? undefined,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    schedule: job.schedule || undefined,
+    provider: job.params.provider || DEFAULT_PROVIDER,
+    sinks: job.params.sinks || DEFAULT_SINKS,
+    keywords: job.params.keywords,
+    locations: Object.keys(job.params.locations),
+    filters: job.params.filters || undefined,
+    dry_run: job.dry_run || undefined,
+    progress: job.progress,
+    total_scraped: job.total_scraped,
+    duplicates_skipped: job.duplicates_skipped,
+    enrichment: job.enrichment || undefined,
+    inserted: job.inserted,
+    pages_loaded: job.pages_loaded,
+    errors: job.errors,
+    screenshots: job.screenshots.length > 0 ? job.screenshots : undefined,
+    screenshot_url: job.screenshots.length > 0 ? job.screenshot_url : undefined,
+    result: job.result || undefined,
+    error: job.error || undefined
+  };
+}
+
+// Published by GET /schema; limits and enums match this instance's config
+const requestSchemas = buildRequestSchemas({
+  providers: allProviders(),
+  sinkNames: sinkRegistry.list().map(({ name }) => name),
+  maxPagesLimit: SCRAPE_CONFIG.pagination.maxPagesLimit,
+  maxEnrichLimit: SCRAPE_CONFIG.enrich.maxPerRunLimit
+});
+
+// Bulk request bodies and schedules share these checks with the CLI
+const bulkParams = createBulkParams({
+  schema: requestSchemas.routes['POST /bulk-scrape'],
+  registry: sinkRegistry,
+  geo
+});
+
+// Progress of each bulk run, streamed by GET /bulk-scrape/:jobId/events
+const runEvents = createRunEvents();
+
+// `params` must come from bulkParams.resolve(). Throws a 429 error when
+// memory is short or the queue is full.
+async function enqueueBulkScrape(params, { baseUrl, schedule = null }) {
+  await memoryGuard.check();
+  const job = bulkQueue.enqueue(pickBulkParams(params), {
+    schedule,
+    ...createRunState(params, SCRAPE_CONFIG),
+    screenshot_url: `${baseUrl}/screenshots/`
+  });
+  runEvents.publish(job, 'run_queued', {
+    queue_position: bulkQueue.position(job.id),
+    total_pairs: job.progress.total_pairs
+  });
+  return job;
+}
+
 app.post('/bulk-scrape', validateApiSecret, async (req, res) => {
   console.log(`\n📦 Bulk scrape request received`);
   
   // Extract parameters from request body (REQUIRED)
-  const { keywords, locations } = req.body || {};
+  const body = req.body || {};
   
   // Validate required parameters
-  if (!keywords || keywords.length === 0) {
-    return res.status(400).json({ 
-      error: 'Missing required parameter: keywords (must be non-empty array)' 
-    });
-  }
-  
-  if (!locations || Object.keys(locations).length === 0) {
-    return res.status(400).json({ 
-      error: 'Missing required parameter: locations (must be non-empty object)' 
-    });
+  const validationErrors = bulkParams.validate(body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json(validationErrorBody(validationErrors));
   }
+
+  const { params, warnings } = bulkParams.resolve(body);
+  const { locations } = params;
+  warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
   
   console.log('🔍 Search parameters:', { 
-    keywords, 
-    locations: Object.keys(locations) 
+    keywords: params.keywords, 
+    locations
   });
 
-  let browser;
-  let totalScraped = 0;
-  let totalInserted = 0;
-  const errors = [];
-  const screenshots = []; // Track all screenshots taken
-
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  let job;
   try {
-    console.log(`🚀 Launching Puppeteer for bulk scraping...`);
-    console.log(`📊 Initial memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB / ${Math.round(process.memoryUsage().rss / 1024 / 1024)}MB RSS`);
-    
-    // Force garbage collection if available
-    if (global.gc) {
-      console.log(`🧹 Running garbage collection...`);
-      global.gc();
-    }
-    
-    console.log(`📊 Memory before launch: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
-    
-    browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--window-size=1280,720'
-      ],
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-      timeout: 60000  // 60 second timeout for launch
-    });
+    job = await enqueueBulkScrape(params, { baseUrl });
+  } catch (error) {
+    if (error.status === 429) return sendBusy(res, error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
 
-    console.log(`✅ Puppeteer launched successfully`);
-    console.log(`📊 Memory after launch: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
-
-    let page = await browser.newPage();
-    await page.setViewport(BULK_SCRAPE_CONFIG.viewport);
-    await page.setUserAgent(BULK_SCRAPE_CONFIG.userAgent);
-
-    // Loop through locations × keywords
-    for (const keyword of keywords) {
-      for (const [locationName, geoId] of Object.entries(locations)) {
-        const startTime = Date.now();
-        let url = '';  // Declare outside try block for error handler access
-        try {
-          // Ensure we have a live browser and page before each iteration
-          if (!browser.isConnected()) {
-            console.warn('⚠️ Browser disconnected detected before iteration - relaunching...');
-            try { await browser.close().catch(() => {}); } catch {}
-            browser = await puppeteer.launch({
-              headless: true,
-              args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--window-size=1280,720'
-              ],
-              executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-              timeout: 60000
-            });
-            page = await browser.newPage();
-            await page.setViewport(BULK_SCRAPE_CONFIG.viewport);
-            await page.setUserAgent(BULK_SCRAPE_CONFIG.userAgent);
-          }
-
-          console.log(`\n🔄 [${new Date().toISOString()}] Scraping: "${keyword}" in ${locationName}...`);
-          url = buildLinkedInUrl(keyword, geoId);
-          console.log(`   URL: ${url}`);
-
-          await page.goto(url, { waitUntil: 'domcontentloaded', timeout: BULK_SCRAPE_CONFIG.timeouts.navigation });
-
-          // Screenshot IMMEDIATELY after navigation (before stability wait)
-          const immediateScreenshot = await takeScreenshot(
-            page,
-            `${keyword.replace(/\s+/g, '-')}-${locationName.replace(/\s+/g, '-')}-IMMEDIATE-${Date.now()}.png`,
-            'Immediate post-navigation'
-          );
-          if (immediateScreenshot) screenshots.push(immediateScreenshot);
-
-          await new Promise(resolve => setTimeout(resolve, BULK_SCRAPE_CONFIG.delays.postNavigation));
-
-          if (page.isClosed()) throw new Error('Page closed during stability wait');
-          if (!browser.isConnected()) throw new Error('Browser disconnected during navigation');
-
-          const currentUrl = page.url();
-          if (!currentUrl.includes('linkedin.com/jobs/search')) {
-            throw new Error(`Redirected away from jobs page to: ${currentUrl}`);
-          }
-
-          const timestamp = Date.now();
-          const screenshotFilename = await takeScreenshot(
-            page, 
-            `${keyword.replace(/\s+/g, '-')}-${locationName.replace(/\s+/g, '-')}-initial-${timestamp}.png`,
-            'Initial page load'
-          );
-          if (screenshotFilename) screenshots.push(screenshotFilename);
-
-          await closeSignInModal(page);
-          await page.waitForSelector(SELECTORS.jobListContainer, {
-            timeout: BULK_SCRAPE_CONFIG.timeouts.jobList,
-            visible: true
-          });
-
-          console.log('⏳ Waiting for page to stabilize...');
-          await new Promise(resolve => setTimeout(resolve, BULK_SCRAPE_CONFIG.delays.pageStabilize));
-
-          const jobCardCount = await page.evaluate((selector) => {
-            return document.querySelectorAll(selector).length;
-          }, SELECTORS.jobCard);
-
-          console.log(`📊 Found ${jobCardCount} job card(s) in DOM`);
-
-          if (jobCardCount === 0) {
-            const noResultsScreenshot = await takeScreenshot(
-              page,
-              `${keyword.replace(/\s+/g, '-')}-${locationName.replace(/\s+/g, '-')}-no-results-${Date.now()}.png`,
-              'No jobs found'
-            );
-            if (noResultsScreenshot) screenshots.push(noResultsScreenshot);
-            await new Promise(resolve => setTimeout(resolve, BULK_SCRAPE_CONFIG.delays.zeroResultsExtra));
-            throw new Error('No job listings found on page');
-          }
-
-          const preScapeFilename = await takeScreenshot(
-            page,
-            `${keyword.replace(/\s+/g, '-')}-${locationName.replace(/\s+/g, '-')}-pre-scrape-${timestamp}.png`,
-            'Before scraping job data'
-          );
-          if (preScapeFilename) screenshots.push(preScapeFilename);
-
-          console.log(`🔍 Extracting data from ${jobCardCount} job card(s)...`);
-          const jobs = await extractJobs(page);
-          console.log(`✅ Successfully extracted ${jobs.length} job(s) from ${jobCardCount} card(s)`);
-
-          jobs.forEach(job => {
-            if (job.url) {
-              job.url = transformJobUrl(job.url);
-            }
-          });
-
-          const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-          console.log(`   ✅ Scraped ${jobs.length} jobs in ${duration}s`);
-
-          // Add metadata to each job
-          const jobsWithMetadata = jobs.map(job => ({
-            ...job,
-            scrape_metadata: {
-              keyword: keyword,
-              location: locationName,
-              geoId: geoId,
-              timeFilter: BULK_SCRAPE_CONFIG.timeFilter,
-              scraped_at: new Date().toISOString()
-            }
-          }));
-
-          totalScraped += jobsWithMetadata.length;
-
-          // POST jobs immediately after scraping this location
-          if (jobsWithMetadata.length > 0) {
-            try {
-              console.log(`   📤 Sending ${jobsWithMetadata.length} jobs to Supabase...`);
-              const ingestResult = await sendBulkJobsToSupabase(jobsWithMetadata);
-              totalInserted += ingestResult?.inserted || 0;
-              console.log(`   ✅ Inserted: ${ingestResult?.inserted || 0}`);
-            } catch (ingestError) {
-              console.error(`   ❌ Failed to ingest jobs for ${locationName}: ${ingestError.message}`);
-              errors.push({
-                keyword,
-                location: locationName,
-                type: 'ingest',
-                error: ingestError.message
-              });
-            }
-          }
-
-        } catch (error) {
-          const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-          let pageState = 'unknown';
-          let browserState = 'unknown';
-
-          try {
-            pageState = page?.isClosed() ? 'closed' : 'open';
-            browserState = browser?.isConnected() ? 'connected' : 'disconnected';
-          } catch (_e) {
-            pageState = 'error checking';
-            browserState = 'error checking';
-          }
-
-          console.error(`❌ [${new Date().toISOString()}] Error after ${duration}s scraping "${keyword}" in ${locationName}: ${error.message}`);
-          console.error(`   📊 Diagnostics: Page=${pageState}, Browser=${browserState}`);
-
-          try {
-            if (page && !page.isClosed() && browser && browser.isConnected()) {
-              const errorScreenshot = await takeScreenshot(
-                page,
-                `${keyword.replace(/\s+/g, '-')}-${locationName.replace(/\s+/g, '-')}-ERROR-${Date.now()}.png`,
-                `Error: ${error.message}`
-              );
-              if (errorScreenshot) screenshots.push(errorScreenshot);
-            }
-          } catch (_se) {}
-
-          errors.push({
-            keyword,
-            location: locationName,
-            error: error.message,
-            url: url || 'not generated',
-            timestamp: new Date().toISOString(),
-            duration: `${duration}s`
-          });
-
-          // If the browser disconnected or target closed, proactively relaunch for next iterations
-          if (browserState === 'disconnected' || /Target closed|detached Frame/i.test(error.message)) {
-            console.warn('♻️ Recovering from browser crash/disconnect...');
-            try { await browser.close().catch(() => {}); } catch {}
-            try {
-              browser = await puppeteer.launch({
-                headless: true,
-                args: [
-                  '--no-sandbox',
-                  '--disable-setuid-sandbox',
-                  '--disable-dev-shm-usage',
-                  '--disable-gpu',
-                  '--window-size=1280,720'
-                ],
-                executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-                timeout: 60000
-              });
-              page = await browser.newPage();
-              await page.setViewport(BULK_SCRAPE_CONFIG.viewport);
-              await page.setUserAgent(BULK_SCRAPE_CONFIG.userAgent);
-              console.log('✅ Browser relaunched successfully');
-            } catch (relaunchError) {
-              console.error('❌ Failed to relaunch browser:', relaunchError.message);
-            }
-          }
-        }
-        
-        // Delay AFTER both success AND error (outside try-catch)
-        const randomDelay = 2000 + Math.random() * 3000;  // 2-5 seconds
-        console.log(`⏳ Waiting ${Math.round(randomDelay/1000)}s before next location...`);
-        await new Promise(resolve => setTimeout(resolve, randomDelay));
-      }
-    }
+  // Clients that ask for an event stream follow the run on this request
+  if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+    return runEvents.stream(req, res, job);
+  }
 
-    console.log(`\n✅ Bulk scraping completed`);
-    console.log(`   Total jobs scraped: ${totalScraped}`);
-    console.log(`   Total jobs inserted: ${totalInserted}`);
-    console.log(`   Errors: ${errors.length}`);
+  res.status(202).json({
+    success: true,
+    job_id: job.id,
+    status: job.status,
+    status_url: `${baseUrl}/bulk-scrape/${job.id}`,
+    events_url: `${baseUrl}/bulk-scrape/${job.id}/events`,
+    dry_run: params.dryRun || undefined,
+    geo_ids: locations,
+    warnings: warnings.length > 0 ? warnings : undefined
+  });
+});
 
-    res.json({
-      success: true,
-      total_scraped: totalScraped,
-      inserted: totalInserted,
-      errors: errors.length > 0 ? errors : undefined,
-      screenshots: screenshots.length > 0 ? screenshots : undefined,
-      screenshot_url: screenshots.length > 0 ? `${req.protocol}://${req.get('host')}/screenshots/` : undefined
-    });
+app.get('/bulk-scrape/:jobId', validateApiSecret, (req, res) => {
+  const job = bulkQueue.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(formatBulkJob(job));
+});
+
+// Cancels a queued run, or a running one at the next location boundary;
+// pairs already scraped are still delivered.
+app.delete('/bulk-scrape/:jobId', validateApiSecret, (req, res) => {
+  const job = bulkQueue.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.finished_at) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
 
+  bulkQueue.cancel(job.id);
+  res.status(202).json(formatBulkJob(job));
+});
+
+// Server-Sent Events: what happened so far (after Last-Event-ID), then live
+// events until run_complete
+app.get('/bulk-scrape/:jobId/events', validateApiSecret, (req, res) => {
+  const job = bulkQueue.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  runEvents.stream(req, res, job);
+});
+
+// Progress event from runBulkScrape() -> run event with the run's counters
+function publishProgress(job, { type, ...data }) {
+  runEvents.publish(job, type, {
+    ...data,
+    url: type === 'screenshot' ? `${job.screenshot_url}${data.filename}` : undefined,
+    completed_pairs: job.progress.completed_pairs,
+    total_pairs: job.progress.total_pairs
+  });
+}
+
+// Worker for the bulk queue: runs the scrape and records it in run history
+// whatever the outcome. Dry runs don't alert.
+async function runBulkJob(job, { signal }) {
+  let fatalError = null;
+  let releaseSlot = () => {};
+
+  try {
+    // Queued runs wait for a work slot as long as it takes, unless cancelled
+    try {
+      releaseSlot = await workLimiter.acquire({ bounded: false, signal });
+    } catch (error) {
+      if (!signal.aborted) throw error;
+      job.cancelled = true;
+      job.progress.pairs.forEach(pair => { pair.status = 'cancelled'; });
+      console.log(`🛑 Job ${job.id} cancelled while waiting for a work slot`);
+      return { success: true, cancelled: true };
+    }
+    runEvents.publish(job, 'run_started', { total_pairs: job.progress.total_pairs });
+
+    return await core.runBulkScrape(job, {
+      onEvent: (event) => {
+        metrics.observeRunEvent(event);
+        publishProgress(job, event);
+      },
+      signal
+    });
   } catch (error) {
+    fatalError = error;
+    if (job.params.dryRun) throw error;
+
     const memoryUsage = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-    console.error('❌ Bulk scraping error:', error.message);
-    console.error(`📊 Memory at crash: ${memoryUsage}MB`);
-    
     // Enhanced error context for debugging
-    const errorContext = error.message.includes('launch') 
+    const errorContext = error.message.includes('launch')
       ? `Browser launch failed (Memory: ${memoryUsage}MB)`
-      : `/bulk-scrape endpoint - Keywords: ${JSON.stringify(keywords)}, Locations: ${JSON.stringify(Object.keys(locations || {}))}`;
-    
+      : `/bulk-scrape endpoint - Keywords: ${JSON.stringify(job.params.keywords)}, Locations: ${JSON.stringify(Object.keys(job.params.locations || {}))}`;
+
     await sendErrorAlert(
       errorContext,
       `${error.message}\n\nMemory: ${memoryUsage}MB\n\nStack: ${error.stack?.substring(0, 500)}`
     );
-    
-    res.status(500).json({
-      error: error.message,
-      details: error.stack
-    });
+
+    throw error;
   } finally {
-    if (browser) {
-      await browser.close();
-      console.log(`🔒 Browser closed`);
-    }
+    releaseSlot();
+    await finishBulkRun(job, { fatalError });
   }
-});
+}
+
+// Records a finished, failed or cancelled run in run history and ends its
+// event stream. Runs cancelled while queued never started.
+async function finishBulkRun(job, { fatalError = null } = {}) {
+  const finishedAt = new Date();
+  const outcome = runOutcome({ fatalError, errors: job.errors, cancelled: job.cancelled });
+  await runHistory.record({
+    id: job.id,
+    type: 'bulk',
+    outcome,
+    started_at: job.started_at || undefined,
+    finished_at: finishedAt.toISOString(),
+    duration: job.started_at ? `${((finishedAt - Date.parse(job.started_at)) / 1000).toFixed(1)}s` : undefined,
+    schedule: job.schedule || undefined,
+    dry_run: job.params.dryRun || undefined,
+    provider: job.params.provider || DEFAULT_PROVIDER,
+    sinks: job.params.sinks || DEFAULT_SINKS,
+    keywords: job.params.keywords,
+    locations: Object.keys(job.params.locations),
+    geo_ids: job.params.locations,
+    timeFilter: resolveSearch(job.params, SCRAPE_CONFIG).timeFilter,
+    filters: job.params.filters,
+    pairs: job.progress.pairs,
+    total_scraped: job.total_scraped,
+    duplicates_skipped: job.duplicates_skipped,
+    enrichment: job.enrichment || undefined,
+    inserted: job.inserted,
+    pages_loaded: job.pages_loaded,
+    errors: job.errors,
+    screenshots: job.screenshots,
+    error: fatalError?.message
+  });
+
+  runEvents.publish(job, RUN_COMPLETE, {
+    status: fatalError ? 'failed' : job.cancelled ? 'cancelled' : 'completed',
+    outcome,
+    total_scraped: job.total_scraped,
+    duplicates_skipped: job.duplicates_skipped,
+    inserted: job.inserted,
+    errors: job.errors.length,
+    error: fatalError?.message
+  });
+}
+
+// Runs dropped from the queue still get a history entry; shutdown waits for
+// these writes before exiting
+const cancelRecords = new Set();
+
+function recordQueuedCancel(job) {
+  job.cancelled = true;
+  job.progress.pairs.forEach(pair => { pair.status = 'cancelled'; });
+  const write = finishBulkRun(job).finally(() => cancelRecords.delete(write));
+  cancelRecords.add(write);
+}
 
 // ============================================================================
-// MAIN SCRAPING ENDPOINT
+// SELECTOR PROFILE ADMIN
 // ============================================================================
 
-app.post('/scrape', validateApiSecret, async (req, res) => {
-  const { url, user_id } = req.body;
+app.get('/admin/selectors', validateApiSecret, (req, res) => {
+  res.json({ profiles: selectorProfiles.list() });
+});
 
-  console.log(`\n📥 Scrape request received:`);
-  console.log(`  URL: ${url}`);
-  console.log(`  User ID: ${user_id}`);
+// Re-read profiles from disk; the previous set stays active if any provider
+// ends up without a valid profile.
+app.post('/admin/selectors/reload', validateApiSecret, async (req, res) => {
+  const result = await selectorProfiles.reload();
+  res.status(result.applied ? 200 : 422).json(result);
+});
 
-  if (!url || !user_id) {
-    return res.status(400).json({ 
-      error: 'Missing required fields: url and user_id' 
-    });
+app.post('/admin/selectors/:provider/activate', validateApiSecret, (req, res) => {
+  const validationErrors = validate(requestSchemas.routes['POST /admin/selectors/:provider/activate'], req.body || {});
+  if (validationErrors.length > 0) {
+    return res.status(400).json(validationErrorBody(validationErrors));
   }
 
-  try {
-    // Scrape the LinkedIn page
-    console.log(`🚀 Launching Puppeteer...`);
-    const jobData = await scrapePage(url, user_id);
-    
-    console.log(`✅ Scraping completed successfully`);
-    res.json({
-      success: true,
-      message: 'Job scraped and ingested successfully',
-      jobData: jobData.jobData || jobData,
-      job: jobData.job
-    });
+  const { version } = req.body;
 
-  } catch (error) {
-    console.error('❌ Scraping error:', error.message);
-    
-    // Send Telegram error alert
-    await sendErrorAlert(
-      `/scrape endpoint - URL: ${url}`,
-      `${error.message}\n\nStack: ${error.stack?.substring(0, 500)}`
-    );
-    
-    res.status(500).json({
-      error: error.message,
-      details: error.stack
-    });
+  const profile = selectorProfiles.activate(req.params.provider, version);
+  if (!profile) {
+    return res.status(404).json({ error: `Selector profile ${req.params.provider}@${version} not found` });
   }
+
+  res.json({ active: profileLabel(profile), profiles: selectorProfiles.list() });
 });
 
-// Core scraping logic
-async function scrapePage(url, user_id) {
-  let browser;
-  
-  try {
-    console.log(`🌐 Opening browser for: ${url}`);
-    
-    browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1920x1080'
-      ],
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
-    });
+// ============================================================================
+// GEO LOOKUP
+// ============================================================================
 
-    const page = await browser.newPage();
-    
-    await page.setViewport({ width: 1920, height: 1080 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+// Without ?q= the whole table; with it, the closest matches and what a
+// /bulk-scrape with that name would resolve to
+app.get('/geo/locations', validateApiSecret, (req, res) => {
+  const { q } = req.query;
 
-    console.log(`📄 Navigating to URL...`);
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 30000
-    });
+  if (!q) {
+    return res.json({ ...geo.info(), locations: geo.list() });
+  }
 
-    console.log(`🔍 Extracting LinkedIn job data...`);
-    
-    // Extract LinkedIn-specific job data
-    const scrapedData = await page.evaluate(() => {
-      // Helper function to get text content safely
-      const getText = (selector) => {
-        const el = document.querySelector(selector);
-        return el ? el.innerText.trim() : null;
-      };
+  const { location, match, error } = geo.resolve(q);
+  res.json({
+    query: q,
+    resolved: location ? { ...location, match } : null,
+    error: error || undefined,
+    matches: geo.search(q).map(({ location: candidate }) => candidate)
+  });
+});
 
-      // Extract job title
-      const title = getText('.top-card-layout__title') || 
-                    getText('h1.topcard__title') || 
-                    getText('h1') || 
-                    null;
-
-      // Extract company name
-      const company = getText('.topcard__org-name-link') || 
-                      getText('.top-card-layout__second-subline a') ||
-                      getText('.topcard__flavor--black-link') ||
-                      null;
-
-      // Extract location
-      const location = getText('.topcard__flavor--bullet') || 
-                       getText('.top-card-layout__second-subline span') ||
-                       null;
-
-      // Extract employment type & seniority from criteria
-      const criteriaItems = Array.from(document.querySelectorAll('.description__job-criteria-item'));
-      let employment_type = null;
-      let seniority = null;
-
-      criteriaItems.forEach(item => {
-        const subheader = item.querySelector('.description__job-criteria-subheader')?.innerText?.trim();
-        const text = item.querySelector('.description__job-criteria-text')?.innerText?.trim();
-        
-        if (subheader?.includes('Employment type')) {
-          employment_type = text;
-        }
-        if (subheader?.includes('Seniority level')) {
-          seniority = text;
-        }
-      });
+// Re-read the geo table; an invalid table is rejected and the old one kept
+app.post('/admin/geo/reload', validateApiSecret, async (req, res) => {
+  const result = await geo.reload();
+  res.status(result.applied ? 200 : 422).json(result);
+});
+
+// ============================================================================
+// SELECTOR HEALTH CHECK
+// ============================================================================
+
+// Resolve a fixture name inside FIXTURES_DIR, refusing anything that escapes it
+function resolveFixturePath(name) {
+  const resolved = path.resolve(FIXTURES_DIR, String(name));
+  if (!resolved.startsWith(FIXTURES_DIR + path.sep)) {
+    return null;
+  }
+  return resolved;
+}
+
+// Open a fresh page on either a live URL or a saved HTML fixture. Fixture
+// pages block every network request so the check runs fully offline.
+async function openCheckPage(lease, source) {
+  if (source.fixture) {
+    const page = await lease.newPage();
+    const html = await fs.readFile(source.path, 'utf8');
+    await page.setRequestInterception(true);
+    page.on('request', request => request.abort().catch(() => {}));
+    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+    return page;
+  }
+
+  const page = await openPage(lease, {
+    viewport: SCRAPE_CONFIG.viewport,
+    userAgent: SCRAPE_CONFIG.userAgent,
+    fixtureStore: FIXTURE_REPLAY ? fixtureStore : null
+  });
+  await page.goto(source.url, { waitUntil: 'domcontentloaded', timeout: SCRAPE_CONFIG.timeouts.navigation });
+  return page;
+}
+
+app.post('/selectors/check', validateApiSecret, async (req, res) => {
+  const validationErrors = validate(requestSchemas.routes['POST /selectors/check'], req.body || {});
+  if (validationErrors.length > 0) {
+    return res.status(400).json(validationErrorBody(validationErrors));
+  }
+
+  const {
+    provider: providerName = DEFAULT_PROVIDER,
+    version,
+    keyword,
+    geoId,
+    searchUrl,
+    jobUrl,
+    fixtures = {},
+    threshold = DEFAULT_HEALTH_THRESHOLD,
+    alert = true
+  } = req.body || {};
+
+  const provider = getProvider(providerName);
+  if (!provider.healthCheck) {
+    return res.status(400).json({ error: `Provider ${providerName} does not support selector checks` });
+  }
 
-      // Extract full job description
-      const description = getText('.show-more-less-html__markup') || 
-                          getText('.description__text') ||
-                          getText('.core-section-container__content') ||
-                          document.body.innerText.substring(0, 5000);
-
-      // Extract skills (if visible)
-      const skills = Array.from(document.querySelectorAll('.job-details-skill-match-status-item__skill-item'))
-        .map(el => el.innerText.trim())
-        .filter(Boolean);
-
-      // Extract LinkedIn job ID from URL
-      const jobIdMatch = window.location.href.match(/\/jobs\/view\/(\d+)/);
-      const external_id = jobIdMatch ? jobIdMatch[1] : null;
-
-      // Extract posted date
-      const postedText = getText('.topcard__flavor--metadata');
-      let posted_at = null;
-      if (postedText) {
-        const match = postedText.match(/(\d+)\s+(day|hour|week|month)s?\s+ago/i);
-        if (match) {
-          const amount = parseInt(match[1]);
-          const unit = match[2].toLowerCase();
-          const now = new Date();
-          
-          if (unit === 'day') now.setDate(now.getDate() - amount);
-          else if (unit === 'hour') now.setHours(now.getHours() - amount);
-          else if (unit === 'week') now.setDate(now.getDate() - (amount * 7));
-          else if (unit === 'month') now.setMonth(now.getMonth() - amount);
-          
-          posted_at = now.toISOString();
-        }
+  const profile = version ? selectorProfiles.get(provider.name, version) : selectorProfiles.getActive(provider.name);
+  if (!profile) {
+    return res.status(404).json({ error: `Selector profile ${provider.name}@${version} not found` });
+  }
+
+  // Each page can come from a fixture file or the live site
+  const sources = {};
+  for (const [kind, liveUrl] of [
+    ['search', searchUrl || (keyword && geoId ? provider.buildSearchUrl({ keyword, geoId, timeFilter: SCRAPE_CONFIG.timeFilter }) : null)],
+    ['job', jobUrl]
+  ]) {
+    if (fixtures[kind]) {
+      const fixturePath = resolveFixturePath(fixtures[kind]);
+      if (!fixturePath) {
+        return res.status(400).json({ error: `Invalid fixture path for ${kind}: ${fixtures[kind]}` });
+      }
+      try {
+        await fs.access(fixturePath);
+      } catch (_e) {
+        return res.status(404).json({ error: `Fixture not found: ${fixtures[kind]}` });
       }
+      sources[kind] = { fixture: fixtures[kind], path: fixturePath };
+    } else if (liveUrl) {
+      sources[kind] = { url: liveUrl };
+    }
+  }
 
-      return {
-        title,
-        company,
-        location,
-        employment_type,
-        seniority,
-        description,
-        skills: skills.length > 0 ? skills : null,
-        external_id,
-        posted_at,
-        url: window.location.href
-      };
+  if (!sources.search && !sources.job) {
+    return res.status(400).json({
+      error: 'Nothing to check: provide searchUrl (or keyword + geoId), jobUrl, or fixtures.search / fixtures.job'
     });
+  }
 
-    console.log(`📊 Extracted data:`, {
-      title: scrapedData.title,
-      company: scrapedData.company,
-      location: scrapedData.location,
-      external_id: scrapedData.external_id
-    });
+  // Checks open a browser too, so they take a work slot like /scrape
+  let releaseSlot;
+  try {
+    await memoryGuard.check();
+    releaseSlot = await workLimiter.acquire();
+  } catch (error) {
+    return sendBusy(res, error);
+  }
 
-    // Validate required fields
-    if (!scrapedData.title) {
-      throw new Error('Failed to extract job title from page');
-    }
+  console.log(`\n🩺 Selector check for ${profileLabel(profile)}:`, sources);
 
-    // Format job data for ingest-job
-    const jobData = {
-      source: 'linkedin',
-      external_id: scrapedData.external_id,
-      title: scrapedData.title,
-      company: scrapedData.company,
-      location: scrapedData.location,
-      employment_type: scrapedData.employment_type,
-      seniority: scrapedData.seniority,
-      url: url,
-      description: scrapedData.description,
-      skills: scrapedData.skills || [],
-      posted_at: scrapedData.posted_at,
-      user_id: user_id // Include user_id for service role auth
+  let lease;
+
+  try {
+    lease = await core.pool.acquire();
+    const report = {
+      provider: provider.name,
+      selector_profile: profileLabel(profile),
+      threshold
     };
 
-    // Send to ingest-job
-    console.log(`📤 Sending to ingest-job...`);
-    const ingestResult = await sendToIngestJob(jobData);
+    if (sources.search) {
+      const page = await openCheckPage(lease, sources.search);
+      if (!sources.search.fixture) {
+        await provider.dismissModal(page, profile.search);
+        await page.waitForSelector(profile.search.jobListContainer, {
+          timeout: SCRAPE_CONFIG.timeouts.jobList
+        }).catch(() => {});
+      }
+      report.search = {
+        source: sources.search.fixture ? { fixture: sources.search.fixture } : { url: sources.search.url, final_url: page.url() },
+        ...await checkSearchPage(page, profile.search, provider.healthCheck)
+      };
+      await page.close();
+    }
 
-    return {
-      ...jobData,
-      job: ingestResult.job
-    };
+    if (sources.job) {
+      const page = await openCheckPage(lease, sources.job);
+      report.detail = {
+        source: sources.job.fixture ? { fixture: sources.job.fixture } : { url: sources.job.url, final_url: page.url() },
+        ...await checkDetailPage(page, profile.detail)
+      };
+      await page.close();
+    }
+
+    report.failing = findFailingFields(report, provider.healthCheck, threshold);
+    report.healthy = report.failing.length === 0;
+
+    if (report.healthy) {
+      console.log(`✅ Selectors healthy for ${profileLabel(profile)}`);
+    } else {
+      console.warn(`⚠️ Selector drift for ${profileLabel(profile)}: ${report.failing.join(', ')}`);
+      if (alert) {
+        await sendErrorAlert(
+          `Selector drift - ${profileLabel(profile)}`,
+          `Below ${Math.round(threshold * 100)}% threshold:\n${report.failing.join('\n')}`
+        );
+        report.alert_sent = true;
+      }
+    }
+
+    res.json(report);
 
   } catch (error) {
-    console.error('Scraping error:', error);
-    throw error;
+    console.error('❌ Selector check error:', error.message);
+    res.status(500).json({ error: error.message });
   } finally {
-    if (browser) {
-      await browser.close();
-      console.log(`🔒 Browser closed`);
+    if (lease) {
+      await lease.release();
+      console.log(`🔒 Browser context closed`);
     }
+    releaseSlot();
   }
+});
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+const scheduler = createScheduler({
+  filePath: process.env.SCHEDULES_PATH || path.join(DATA_DIR, 'schedules.json'),
+  validateParams: bulkParams.validate,
+  isActive: (jobId) => ['queued', 'running'].includes(bulkQueue.get(jobId)?.status),
+  runSchedule: async (schedule) => {
+    // Names are looked up on every run, so geo table updates apply
+    const { params, error } = bulkParams.resolve(schedule);
+    if (error) throw new Error(error);
+
+    const job = await enqueueBulkScrape(params, {
+      baseUrl: process.env.PUBLIC_URL || `http://localhost:${PORT}`,
+      schedule: schedule.name
+    });
+    return job.id;
+  }
+});
+
+function sendScheduleError(res, error) {
+  if (!error.status) {
+    console.error('❌ Schedule error:', error.message);
+  }
+  res.status(error.status || 500).json({ error: error.message, errors: error.errors });
 }
 
-// Send bulk scraped jobs to ingest-scraped-jobs edge function
-async function sendBulkJobsToSupabase(jobs) {
-  const BULK_INGEST_URL = INGEST_JOB_URL.replace('/ingest-job', '/ingest-scraped-jobs');
-  
+app.get('/schedules', validateApiSecret, (req, res) => {
+  res.json({ schedules: scheduler.list() });
+});
+
+app.get('/schedules/:name', validateApiSecret, (req, res) => {
+  const schedule = scheduler.get(req.params.name);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  res.json(schedule);
+});
+
+app.post('/schedules', validateApiSecret, async (req, res) => {
+  const validationErrors = validate(requestSchemas.routes['POST /schedules'], req.body || {});
+  if (validationErrors.length > 0) {
+    return res.status(400).json(validationErrorBody(validationErrors));
+  }
+
   try {
-    console.log(`📤 Posting ${jobs.length} jobs to Supabase edge function...`);
-    console.log(`🎯 URL: ${BULK_INGEST_URL}`);
-    
-    const response = await fetch(BULK_INGEST_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-        'apikey': SUPABASE_SERVICE_ROLE_KEY
-      },
-      body: JSON.stringify({ jobs })
+    const schedule = await scheduler.create(req.body);
+    res.status(201).json(schedule);
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+app.patch('/schedules/:name', validateApiSecret, async (req, res) => {
+  const validationErrors = validate(requestSchemas.routes['PATCH /schedules/:name'], req.body || {});
+  if (validationErrors.length > 0) {
+    return res.status(400).json(validationErrorBody(validationErrors));
+  }
+
+  try {
+    const schedule = await scheduler.update(req.params.name, req.body || {});
+    res.json(schedule);
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+app.delete('/schedules/:name', validateApiSecret, async (req, res) => {
+  try {
+    await scheduler.remove(req.params.name);
+    res.status(204).end();
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// ============================================================================
+// INGEST OUTBOX
+// ============================================================================
+
+const outbox = createIngestOutbox({
+  dir: process.env.INGEST_OUTBOX_DIR || path.join(DATA_DIR, 'outbox'),
+  maxAttempts: parseInt(process.env.INGEST_RETRY_MAX_ATTEMPTS) || undefined,
+  baseDelayMs: parseInt(process.env.INGEST_RETRY_BASE_DELAY_MS) || undefined,
+  maxDelayMs: parseInt(process.env.INGEST_RETRY_MAX_DELAY_MS) || undefined,
+  deliver: (entry) => {
+    // Entries queued before sinks existed were Supabase-only and stored a
+    // single job as the payload itself
+    const sink = sinkRegistry.get(entry.sink || 'supabase');
+    if (!sink) throw new Error(`Unknown sink: ${entry.sink}`);
+    return sink.deliver({
+      kind: entry.kind,
+      jobs: entry.payload.jobs || [entry.payload],
+      context: entry.context
+    });
+  },
+  onDeadLetter: (entry) => sendErrorAlert(
+    `Ingest ${entry.kind} batch for ${entry.sink} dead-lettered - ${entry.id}`,
+    `${entry.attempts} attempts failed\n\nLast error: ${entry.last_error}\n\nContext: ${JSON.stringify(entry.context)}`
+  )
+});
+
+// Counters and histograms for /metrics; gauges are registered below
+const metrics = createScrapeMetrics();
+
+// Scraping loop, job scrapes and sink delivery (lib/core), shared with the
+// CLI
+const core = createScraperCore({
+  config: SCRAPE_CONFIG,
+  registry: sinkRegistry,
+  outbox,
+  defaultSinks: DEFAULT_SINKS,
+  selectorProfiles,
+  seenJobs,
+  screenshotDir: '/tmp',
+  fixtureStore: FIXTURE_REPLAY ? fixtureStore : null,
+  onDelivery: metrics.observeDelivery
+});
+
+// Gauges read when /metrics is scraped
+metrics.registry.gauge({
+  name: 'scraper_browsers_active',
+  help: 'Pooled browsers currently connected',
+  collect: (gauge) => gauge.set({}, core.pool.stats().browsers.filter(browser => browser.connected).length)
+});
+metrics.registry.gauge({
+  name: 'scraper_browser_leases_active',
+  help: 'Browser contexts currently leased from the pool',
+  collect: (gauge) => gauge.set({}, core.pool.stats().browsers.reduce((sum, browser) => sum + browser.leases, 0))
+});
+metrics.registry.gauge({
+  name: 'scraper_memory_bytes',
+  help: 'Memory in use: Node heap, Node RSS, and RSS of Node plus its browsers',
+  labels: ['type'],
+  collect: async (gauge) => {
+    const { heapUsed, rss } = process.memoryUsage();
+    const { rss_mb } = await memoryGuard.stats();
+    gauge.set({ type: 'heap_used' }, heapUsed);
+    gauge.set({ type: 'rss' }, rss);
+    if (rss_mb !== null) gauge.set({ type: 'process_tree_rss' }, rss_mb * 1024 * 1024);
+  }
+});
+metrics.registry.gauge({
+  name: 'scraper_memory_limit_bytes',
+  help: 'Memory limit above which new work is turned away',
+  collect: async (gauge) => {
+    const { limit_mb } = await memoryGuard.stats();
+    if (limit_mb) gauge.set({}, limit_mb * 1024 * 1024);
+  }
+});
+metrics.registry.gauge({
+  name: 'scraper_work',
+  help: 'Scrapes and bulk runs holding or waiting for a work slot',
+  labels: ['state'],
+  collect: (gauge) => {
+    const { active, waiting } = workLimiter.stats();
+    gauge.set({ state: 'active' }, active);
+    gauge.set({ state: 'waiting' }, waiting);
+  }
+});
+metrics.registry.gauge({
+  name: 'scraper_bulk_runs',
+  help: 'Bulk runs in the queue',
+  labels: ['state'],
+  collect: (gauge) => {
+    const { queued, running } = bulkQueue.stats();
+    gauge.set({ state: 'queued' }, queued);
+    gauge.set({ state: 'running' }, running);
+  }
+});
+
+function sendOutboxError(res, error) {
+  if (!error.status) {
+    console.error('❌ Ingest outbox error:', error.message);
+  }
+  res.status(error.status || 500).json({ error: error.message });
+}
+
+app.get('/ingest/outbox', validateApiSecret, async (req, res) => {
+  try {
+    const [pending, dead] = await Promise.all([outbox.listPending(), outbox.listDead()]);
+    res.json({
+      pending: pending.map(summarizeEntry),
+      dead_letters: dead.length
     });
+  } catch (error) {
+    sendOutboxError(res, error);
+  }
+});
+
+app.get('/ingest/dead-letters', validateApiSecret, async (req, res) => {
+  try {
+    const dead = await outbox.listDead();
+    res.json({ count: dead.length, dead_letters: dead.map(summarizeEntry) });
+  } catch (error) {
+    sendOutboxError(res, error);
+  }
+});
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ Bulk ingest error: ${response.status} - ${errorText}`);
-      throw new Error(`Failed to ingest jobs: ${response.status} - ${errorText}`);
+app.get('/ingest/dead-letters/:id', validateApiSecret, async (req, res) => {
+  try {
+    const entry = await outbox.getDead(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-lettered batch not found' });
     }
+    res.json(entry);
+  } catch (error) {
+    sendOutboxError(res, error);
+  }
+});
 
-    const result = await response.json();
-    console.log(`✅ Successfully posted ${jobs.length} jobs to Supabase`);
-    console.log(`   Inserted: ${result.inserted || 0}`);
-    return result;
+// Retry a dead-lettered batch now; if it fails again it goes back to the
+// retry queue with a fresh set of attempts
+app.post('/ingest/dead-letters/:id/replay', validateApiSecret, async (req, res) => {
+  try {
+    const { delivered, result, error, entry } = await outbox.replay(req.params.id);
+    res.status(delivered ? 200 : 202).json({ delivered, result, error, entry });
+  } catch (error) {
+    sendOutboxError(res, error);
+  }
+});
 
+app.delete('/ingest/dead-letters/:id', validateApiSecret, async (req, res) => {
+  try {
+    await outbox.discard(req.params.id);
+    res.status(204).end();
   } catch (error) {
-    console.error('Error sending bulk jobs to Supabase:', error.message);
-    throw error;
+    sendOutboxError(res, error);
   }
+});
+
+// ============================================================================
+// MAIN SCRAPING ENDPOINT
+// ============================================================================
+
+// Field-level problems with a /scrape body, [] when valid
+function validateScrapeRequest(body) {
+  const schemaErrors = validate(requestSchemas.routes['POST /scrape'], body);
+  if (schemaErrors.length > 0) return schemaErrors;
+
+  const { url, provider: providerName = DEFAULT_PROVIDER, sinks = DEFAULT_SINKS } = body;
+  const errors = [];
+
+  const sinksError = sinkRegistry.validate(sinks);
+  if (sinksError) errors.push({ field: 'sinks', message: sinksError });
+
+  if (!getProvider(providerName).isJobUrl(url)) {
+    errors.push({ field: 'url', message: `url is not a ${providerName} job URL` });
+  }
+
+  return errors;
 }
 
-// Send scraped data to ingest-job edge function
-async function sendToIngestJob(jobData) {
-  if (!INGEST_JOB_URL) {
-    throw new Error('INGEST_JOB_URL not configured');
+app.post('/scrape', validateApiSecret, async (req, res) => {
+  const body = req.body || {};
+  const { url, user_id, provider: providerName = DEFAULT_PROVIDER, sinks = DEFAULT_SINKS, dryRun = false } = body;
+
+  console.log(`\n📥 Scrape request received:`);
+  console.log(`  URL: ${url}`);
+  console.log(`  User ID: ${user_id}`);
+  console.log(`  Provider: ${providerName}`);
+
+  const validationErrors = validateScrapeRequest(body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json(validationErrorBody(validationErrors));
   }
 
+  const provider = getProvider(providerName);
+
+  // Waits for a free slot (bounded); 429 when too busy or short on memory
+  let releaseSlot;
   try {
-    console.log(`🎯 Calling ingest-job: ${INGEST_JOB_URL}`);
+    await memoryGuard.check();
+    releaseSlot = await workLimiter.acquire();
+  } catch (error) {
+    return sendBusy(res, error);
+  }
+
+  const startedAt = new Date();
+
+  try {
+    // Scrape the job page
+    console.log(`🚀 Scraping job page...`);
+    const jobData = await core.scrapeJob({ url, user_id, provider, sinks, dryRun });
     
-    const response = await fetch(INGEST_JOB_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-        'apikey': SUPABASE_SERVICE_ROLE_KEY
-      },
-      body: JSON.stringify(jobData)
+    console.log(`✅ Scraping completed successfully`);
+    metrics.observeJobScrape();
+    await recordScrapeRun({ url, user_id, provider, startedAt, jobData, dryRun });
+
+    // Nothing was sent: return the job and the request each sink would have got
+    if (dryRun) {
+      const { sinks: requests, job, ...scraped } = jobData;
+      return res.json({
+        success: true,
+        dry_run: true,
+        message: 'Job scraped; dry run, nothing was sent',
+        jobData: scraped,
+        sinks: requests
+      });
+    }
+
+    // 202 when the scrape worked but some sink is still pending in the outbox
+    const queued = Object.values(jobData.sinks).some(result => result.status === 'queued');
+    res.status(queued ? 202 : 200).json({
+      success: true,
+      message: queued
+        ? 'Job scraped; delivery failed for some sinks and is queued for retry'
+        : 'Job scraped and ingested successfully',
+      jobData,
+      job: jobData.job,
+      sinks: jobData.sinks
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ ingest-job error: ${response.status} - ${errorText}`);
-      throw new Error(`Failed to ingest job: ${response.status} - ${errorText}`);
+  } catch (error) {
+    console.error('❌ Scraping error:', error.message);
+    metrics.observeJobScrape(error);
+    
+    // Send Telegram error alert
+    if (!dryRun) {
+      await sendErrorAlert(
+        `/scrape endpoint - URL: ${url}`,
+        `${error.message}\n\nStack: ${error.stack?.substring(0, 500)}`
+      );
     }
 
-    const result = await response.json();
-    console.log('✅ ingest-job response:', result);
+    await recordScrapeRun({ url, user_id, provider, startedAt, error, dryRun });
     
-    return result;
-
-  } catch (error) {
-    console.error('Error sending to ingest-job:', error.message);
-    throw error;
+    res.status(500).json({
+      error: error.message,
+      details: error.stack
+    });
+  } finally {
+    releaseSlot();
   }
+});
+
+async function recordScrapeRun({ url, user_id, provider, startedAt, jobData, error, dryRun }) {
+  const finishedAt = new Date();
+  // Dry-run results carry the would-be request bodies; history keeps the status only
+  const sinks = jobData && dryRun
+    ? Object.fromEntries(Object.keys(jobData.sinks).map(name => [name, { status: 'dry_run' }]))
+    : jobData?.sinks;
+
+  await runHistory.record({
+    type: 'scrape',
+    dry_run: dryRun || undefined,
+    outcome: runOutcome({
+      fatalError: error,
+      errors: Object.values(sinks || {}).filter(result => !['delivered', 'dry_run'].includes(result.status))
+    }),
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration: `${((finishedAt - startedAt) / 1000).toFixed(1)}s`,
+    provider: provider.name,
+    url,
+    user_id,
+    keywords: [],
+    locations: jobData?.location ? [jobData.location] : [],
+    job: jobData ? {
+      external_id: jobData.external_id,
+      title: jobData.title,
+      company: jobData.company,
+      location: jobData.location
+    } : undefined,
+    selector_profile: jobData?.scrape_metadata?.selector_profile,
+    total_scraped: jobData ? 1 : 0,
+    sinks,
+    error: error?.message
+  });
 }
 
 // Send error notifications to admin Telegram bot
 async function sendErrorAlert(errorContext, errorDetails) {
   const ERROR_BOT_TOKEN = process.env.ERROR_ALERT_BOT_TOKEN;
   const ERROR_CHAT_ID = process.env.ERROR_ALERT_CHAT_ID;
+  const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
   
   if (!ERROR_BOT_TOKEN || !ERROR_CHAT_ID) {
     console.warn('⚠️ Error alerts not configured (missing ERROR_ALERT_BOT_TOKEN or ERROR_ALERT_CHAT_ID)');
@@ -859,7 +1144,7 @@ ${errorDetails}
 🔗 Check logs: https://dashboard.render.com
     `.trim();
     
-    await fetch(`https://api.telegram.org/bot${ERROR_BOT_TOKEN}/sendMessage`, {
+    await fetch(`${TELEGRAM_API_URL}/bot${ERROR_BOT_TOKEN}/sendMessage`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -876,12 +1161,75 @@ ${errorDetails}
   }
 }
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`\n🚀 LinkedIn Scraper Server`);
-  console.log(`📍 Port: ${PORT}`);
-  console.log(`🔗 Ingest Job URL: ${INGEST_JOB_URL}`);
-  console.log(`🔐 Service Role Key: ${SUPABASE_SERVICE_ROLE_KEY ? '✓ Set' : '✗ Missing'}`);
-  console.log(`🔑 API Secret: ${API_SECRET ? '✓ Set' : '⚠️ Not set (auth disabled)'}`);
-  console.log(`\n✅ Server ready!\n`);
-});
\ No newline at end of file
+export { app };
+
+// Start server unless imported (e.g. by the test suite)
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+// On SIGTERM/SIGINT: refuse new work, cancel runs at their next location
+// boundary (what they scraped is still delivered), let in-flight requests
+// finish, wait up to SHUTDOWN_TIMEOUT_MS in all, then close any browser left
+// and exit. A second signal exits right away.
+async function shutdown(server, signal) {
+  if (shuttingDown) {
+    console.warn(`⚠️ ${signal} received again - exiting now`);
+    await core.pool.close();
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`\n🛑 ${signal} received - shutting down...`);
+
+  scheduler.stop();
+  outbox.stop();
+  const serverClosed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+
+  const timeoutMs = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+  const drained = await Promise.race([
+    Promise.all([bulkQueue.close(), serverClosed])
+      .then(() => Promise.all(cancelRecords))
+      .then(() => true),
+    sleep(timeoutMs, false, { ref: false })
+  ]);
+  if (!drained) {
+    console.warn(`⚠️ Work still active after ${timeoutMs / 1000}s - closing browsers anyway`);
+  }
+
+  await core.pool.close();
+  console.log('👋 Shutdown complete');
+  process.exit(0);
+}
+
+if (isMainModule) {
+  const server = app.listen(PORT, () => {
+    console.log(`\n🚀 LinkedIn Scraper Server`);
+    console.log(`📍 Port: ${PORT}`);
+    console.log(`🔗 Ingest Job URL: ${INGEST_JOB_URL || '✗ Not set'}`);
+    console.log(`📤 Default sinks: ${DEFAULT_SINKS.join(', ')}`);
+    console.log(`🔐 Service Role Key: ${SUPABASE_SERVICE_ROLE_KEY ? '✓ Set' : '✗ Missing'}`);
+    console.log(`🔑 API Secret: ${API_SECRET ? '✓ Set' : '⚠️ Not set (auth disabled)'}`);
+    if (FIXTURE_REPLAY) {
+      console.log(`🎞️ Fixture replay: serving pages from ${FIXTURES_DIR}`);
+    }
+    if (MEMORY_LIMIT_MB) {
+      console.log(`🧠 Memory guard: ${MEMORY_LIMIT_MB}MB`);
+    } else {
+      console.warn(process.env.MEMORY_LIMIT_MB !== undefined
+        ? '⚠️ Memory guard disabled (MEMORY_LIMIT_MB=0)'
+        : '⚠️ Memory guard disabled: no container memory limit found, set MEMORY_LIMIT_MB to enable it');
+    }
+    console.log(`\n✅ Server ready!\n`);
+
+    scheduler.start().catch((error) => {
+      console.error('❌ Failed to start scheduler:', error.message);
+    });
+    outbox.start().catch((error) => {
+      console.error('❌ Failed to start ingest outbox:', error.message);
+    });
+    core.pool.start();
+  });
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => shutdown(server, signal));
+  }
+}
@@ -0,0 +1,117 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryGuard, createWorkLimiter } from '../lib/admission.js';
+import { startTestApp } from './helpers/app.js';
+
+describe('createWorkLimiter', () => {
+  test('queues work beyond maxActive and admits it in order', async () => {
+    const limiter = createWorkLimiter({ maxActive: 1, maxQueued: 2, queueTimeoutMs: 1000, retryAfter: 5 });
+    const order = [];
+
+    const release = await limiter.acquire();
+    const second = limiter.acquire().then(next => { order.push('second'); return next; });
+    const third = limiter.acquire().then(next => { order.push('third'); return next; });
+    assert.deepEqual(limiter.stats(), { max_active: 1, max_queued: 2, active: 1, waiting: 2, admitted: 1, rejected: 0, timed_out: 0 });
+
+    release();
+    release();
+    (await second)();
+    (await third)();
+
+    assert.deepEqual(order, ['second', 'third']);
+    assert.equal(limiter.stats().active, 0);
+  });
+
+  test('rejects with 429 when the queue is full or the wait times out', async () => {
+    const limiter = createWorkLimiter({ maxActive: 1, maxQueued: 1, queueTimeoutMs: 20, retryAfter: 5 });
+    const release = await limiter.acquire();
+    const waiting = limiter.acquire();
+
+    await assert.rejects(limiter.acquire(), (error) => error.status === 429 && error.retryAfter === 5 && /Too busy/.test(error.message));
+    await assert.rejects(waiting, /waited/);
+
+    // Already-queued work skips the bound
+    const unbounded = limiter.acquire({ bounded: false });
+    release();
+    (await unbounded)();
+    assert.equal(limiter.stats().timed_out, 1);
+  });
+
+  test('gives up a queued place when the signal aborts', async () => {
+    const limiter = createWorkLimiter({ maxActive: 1, maxQueued: 2, queueTimeoutMs: 1000, retryAfter: 5 });
+    const controller = new AbortController();
+    const release = await limiter.acquire();
+
+    const cancelled = limiter.acquire({ bounded: false, signal: controller.signal });
+    const next = limiter.acquire();
+    controller.abort();
+    await assert.rejects(cancelled, { name: 'AbortError' });
+    assert.equal(limiter.stats().waiting, 1);
+
+    release();
+    (await next)();
+    assert.equal(limiter.stats().active, 0);
+    await assert.rejects(limiter.acquire({ signal: controller.signal }), { name: 'AbortError' });
+  });
+});
+
+describe('createMemoryGuard', () => {
+  test('rejects above the limit and is off without one', async () => {
+    let rss = 300;
+    const guard = createMemoryGuard({ limitMb: 400, retryAfter: 10, cacheMs: 0, measure: async () => rss });
+
+    await guard.check();
+    rss = 500;
+    await assert.rejects(guard.check(), (error) => error.status === 429 && /500MB in use, limit 400MB/.test(error.message));
+    assert.deepEqual(await guard.stats(), { limit_mb: 400, rss_mb: 500 });
+
+    await createMemoryGuard({ limitMb: 0, measure: async () => 10000 }).check();
+  });
+});
+
+describe('admission over HTTP', () => {
+  let app;
+
+  before(async () => {
+    // Any process is above 1MB, so every new piece of work is turned away
+    app = await startTestApp({ MEMORY_LIMIT_MB: '1', RETRY_AFTER_SECONDS: '7' });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  test('POST /scrape gets 429 with Retry-After', async () => {
+    const { status, headers, body } = await app.request('POST', '/scrape', {
+      body: { url: 'https://www.linkedin.com/jobs/view/4012345678', user_id: 'user-1' }
+    });
+
+    assert.equal(status, 429);
+    assert.equal(headers.get('retry-after'), '7');
+    assert.match(body.error, /^Memory too high/);
+    assert.equal(body.retry_after, 7);
+  });
+
+  test('POST /selectors/check gets 429 before opening a browser', async () => {
+    const { status, headers, body } = await app.request('POST', '/selectors/check', {
+      body: { jobUrl: 'https://www.linkedin.com/jobs/view/4012345678' }
+    });
+
+    assert.equal(status, 429);
+    assert.equal(headers.get('retry-after'), '7');
+    assert.match(body.error, /^Memory too high/);
+  });
+
+  test('POST /bulk-scrape gets 429 and nothing is queued', async () => {
+    const { status, headers } = await app.request('POST', '/bulk-scrape', {
+      body: { keywords: ['Product Manager'], locations: ['Berlin'] }
+    });
+
+    assert.equal(status, 429);
+    assert.equal(headers.get('retry-after'), '7');
+
+    const health = await app.request('GET', '/health', { secret: null });
+    assert.equal(health.body.admission.bulk_queue.queued, 0);
+    assert.equal(health.body.admission.memory.limit_mb, 1);
+  });
+});
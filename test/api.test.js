@@ -0,0 +1,411 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { startTestApp } from './helpers/app.js';
+
+// Routing, auth and validation: nothing in here launches a browser
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+describe('GET /health', () => {
+  test('reports status and configuration without auth', async () => {
+    const { status, body } = await app.request('GET', '/health', { secret: null });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+    assert.deepEqual(body.config, {
+      ingestJobUrl: true,
+      serviceRoleKey: true,
+      apiSecret: true,
+      fixtureReplay: true,
+      defaultSinks: ['supabase']
+    });
+    assert.deepEqual(body.sinks.map(({ name, configured }) => ({ name, configured })), [
+      { name: 'supabase', configured: true },
+      { name: 'webhook', configured: false },
+      { name: 'file', configured: true },
+      { name: 'stdout', configured: true }
+    ]);
+    assert.deepEqual(body.ingest_outbox, { pending: 0, dead: 0 });
+    assert.deepEqual(body.seen_jobs, { size: 0, ttl_hours: 72 });
+    assert.equal(body.geo.count > 0, true);
+  });
+});
+
+describe('GET /metrics', () => {
+  test('serves Prometheus text without auth', async () => {
+    const { status, headers, body } = await app.request('GET', '/metrics', { secret: null });
+    const text = Buffer.from(body).toString();
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(text, /^# TYPE scraper_jobs_scraped_total counter$/m);
+    assert.match(text, /^# TYPE scraper_location_duration_seconds histogram$/m);
+    assert.match(text, /^scraper_browsers_active 0$/m);
+    assert.match(text, /^scraper_memory_bytes\{type="rss"\} \d+$/m);
+    assert.match(text, /^scraper_bulk_runs\{state="queued"\} 0$/m);
+  });
+});
+
+describe('GET /screenshots/:filename', () => {
+  const filename = `test-screenshot-${process.pid}.png`;
+
+  before(async () => {
+    await fs.writeFile(`/tmp/${filename}`, Buffer.from('89504e470d0a1a0a', 'hex'));
+  });
+
+  after(async () => {
+    await fs.rm(`/tmp/${filename}`, { force: true });
+  });
+
+  test('serves a screenshot from /tmp', async () => {
+    const { status, headers, body } = await app.request('GET', `/screenshots/${filename}`);
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'image/png');
+    assert.equal(Buffer.from(body).toString('hex'), '89504e470d0a1a0a');
+  });
+
+  test('401 without the API secret', async () => {
+    const { status, body } = await app.request('GET', `/screenshots/${filename}`, { secret: 'wrong' });
+
+    assert.equal(status, 401);
+    assert.deepEqual(body, { error: 'Unauthorized' });
+  });
+
+  test('400 for filenames outside the allowed characters', async () => {
+    const { status, body } = await app.request('GET', '/screenshots/..%2Fetc%2Fpasswd');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: 'Invalid filename' });
+  });
+
+  test('404 for a missing screenshot', async () => {
+    const { status, body } = await app.request('GET', '/screenshots/does-not-exist.png');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: 'Screenshot not found' });
+  });
+});
+
+describe('POST /scrape validation', () => {
+  test('401 without the API secret', async () => {
+    const { status, body } = await app.request('POST', '/scrape', {
+      secret: null,
+      body: { url: 'https://www.linkedin.com/jobs/view/4012345678', user_id: 'user-1' }
+    });
+
+    assert.equal(status, 401);
+    assert.deepEqual(body, { error: 'Unauthorized' });
+  });
+
+  test('400 with every missing field', async () => {
+    const { status, body } = await app.request('POST', '/scrape', { body: {} });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      error: 'url is required; user_id is required',
+      errors: [
+        { field: 'url', message: 'url is required' },
+        { field: 'user_id', message: 'user_id is required' }
+      ]
+    });
+  });
+
+  const url = 'https://www.linkedin.com/jobs/view/4012345678';
+  const invalid = [
+    [{ user_id: 'user-1' }, 'url', 'url is required'],
+    [{ url, user_id: '' }, 'user_id', 'user_id must not be empty'],
+    [{ url, user_id: true }, 'user_id', 'user_id must be a string or an integer'],
+    [{ url: 'jobs/view/4012345678', user_id: 'user-1' }, 'url', 'url must be an absolute URL'],
+    [{ url: 'https://www.linkedin.com/jobs/search/?keywords=pm', user_id: 'user-1' }, 'url', 'url is not a linkedin job URL'],
+    [{ url: 'https://example.com/jobs/1', user_id: 'user-1' }, 'url', 'url is not a linkedin job URL'],
+    [{ url, user_id: 'user-1', provider: 'monster' }, 'provider', 'provider must be one of: linkedin'],
+    [{ url, user_id: 'user-1', userId: 'typo' }, 'userId', 'userId is not a known field'],
+    [{ url, user_id: 'user-1', sinks: ['ftp'] }, 'sinks[0]', 'sinks[0] must be one of: supabase, webhook, file, stdout'],
+    [{ url, user_id: 'user-1', sinks: [] }, 'sinks', 'sinks must not be empty'],
+    [{ url, user_id: 'user-1', sinks: 'file' }, 'sinks', 'sinks must be an array'],
+    [{ url, user_id: 'user-1', sinks: ['webhook'] }, 'sinks', 'Sink "webhook" is not configured: WEBHOOK_URL not set'],
+    [{ url, user_id: 'user-1', dryRun: 'true' }, 'dryRun', 'dryRun must be a boolean']
+  ];
+
+  for (const [body, field, message] of invalid) {
+    test(`400 for ${JSON.stringify(body)}`, async () => {
+      const response = await app.request('POST', '/scrape', { body });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, { error: message, errors: [{ field, message }] });
+    });
+  }
+
+  test('nothing is sent to ingest for rejected requests', () => {
+    assert.equal(app.stub.requests.length, 0);
+  });
+});
+
+describe('POST /bulk-scrape validation', () => {
+  const valid = { keywords: ['Product Manager'], locations: { Berlin: '106967730' } };
+
+  test('401 without the API secret', async () => {
+    const { status, body } = await app.request('POST', '/bulk-scrape', { secret: null, body: valid });
+
+    assert.equal(status, 401);
+    assert.deepEqual(body, { error: 'Unauthorized' });
+  });
+
+  const invalid = [
+    [{ locations: valid.locations }, 'keywords', 'keywords is required'],
+    [{ keywords: [], locations: valid.locations }, 'keywords', 'keywords must not be empty'],
+    [{ keywords: 'Product Manager', locations: valid.locations }, 'keywords', 'keywords must be an array of keywords or an object of keyword groups'],
+    [{ keywords: ['Product Manager', 7], locations: valid.locations }, 'keywords[1]', 'keywords[1] must be a string'],
+    [{ keywords: { primary: ['PM', ''] }, locations: valid.locations }, 'keywords.primary[1]', 'keywords.primary[1] must not be empty'],
+    [{ keywords: valid.keywords }, 'locations', 'locations is required'],
+    [{ ...valid, locations: {} }, 'locations', 'locations must not be empty'],
+    [{ ...valid, locations: 'Berlin' }, 'locations', 'locations must be an array of location names or an object of name to geoId'],
+    [{ ...valid, locations: { Berlin: 'berlin' } }, 'locations.Berlin', 'locations.Berlin must be a numeric geoId'],
+    [{ ...valid, locations: [['Berlin']] }, 'locations[0]', 'locations[0] must be a [name, geoId] pair'],
+    [{ ...valid, locations: ['Berlin', 'Atlantis'] }, 'locations', 'Unknown location: "Atlantis" (not in the geo table; pass { "Atlantis": <geoId> } instead)'],
+    [{ ...valid, locations: ['Berln'] }, 'locations', 'Unknown location: "Berln" (did you mean Berlin, Bern?)'],
+    [{ ...valid, locations: ['Zurich', 'Zürich'] }, 'locations', 'Duplicate geoId 102436504 for Zurich and Zürich'],
+    [{ ...valid, locations: { Berlin: '105178154', Luxembourg: '104042105' } }, 'locations', 'Conflicting geoId for Berlin: 105178154 is Dublin (Berlin is 106967730)'],
+    [{ ...valid, locations: { 'Berlin Area': '106967730', Berlin: 106967730 } }, 'locations', 'Duplicate geoId 106967730 for Berlin Area and Berlin'],
+    [{ ...valid, timeFilter: '24h' }, 'timeFilter', 'timeFilter must be a LinkedIn f_TPR value like "r86400"'],
+    [{ ...valid, maxJobs: 0 }, 'maxJobs', 'maxJobs must be at least 1'],
+    [{ ...valid, maxJobs: '10' }, 'maxJobs', 'maxJobs must be an integer'],
+    [{ ...valid, maxPages: 41 }, 'maxPages', 'maxPages must be between 1 and 40'],
+    [{ ...valid, concurrency: 1.5 }, 'concurrency', 'concurrency must be an integer'],
+    [{ ...valid, maxjobs: 5 }, 'maxjobs', 'maxjobs is not a known field'],
+    [{ ...valid, provider: 'monster' }, 'provider', 'provider must be one of: linkedin'],
+    [{ ...valid, sinks: ['file', 'ftp'] }, 'sinks[1]', 'sinks[1] must be one of: supabase, webhook, file, stdout'],
+    [{ ...valid, sinks: ['file', 'file'] }, 'sinks', 'sinks must not contain duplicates'],
+    [{ ...valid, sinks: ['webhook'] }, 'sinks', 'Sink "webhook" is not configured: WEBHOOK_URL not set'],
+    [{ ...valid, forceIngest: 'yes' }, 'forceIngest', 'forceIngest must be a boolean'],
+    [{ ...valid, enrich: 1 }, 'enrich', 'enrich must be a boolean'],
+    [{ ...valid, dryRun: 'yes' }, 'dryRun', 'dryRun must be a boolean'],
+    [{ ...valid, enrich: true, maxEnrich: 501 }, 'maxEnrich', 'maxEnrich must be between 1 and 500'],
+    [{ ...valid, filters: { workplaceType: 'moon' } }, 'filters.workplaceType', 'filters.workplaceType must be one of: on-site, remote, hybrid'],
+    [{ ...valid, filters: { workplaceType: 2 } }, 'filters.workplaceType', 'filters.workplaceType must be any of: on-site, remote, hybrid'],
+    [{ ...valid, filters: { workplaceType: ['remote', 'moon'] } }, 'filters.workplaceType[1]', 'filters.workplaceType[1] must be one of: on-site, remote, hybrid'],
+    [{ ...valid, filters: { salary: 100000 } }, 'filters.salary', 'filters.salary is not a known field'],
+    [{ ...valid, timeFilter: 'r3600', filters: { timeWindow: 'past-week' } }, 'filters.timeWindow', 'Use either timeFilter or filters.timeWindow, not both']
+  ];
+
+  for (const [body, field, message] of invalid) {
+    test(`400 for ${JSON.stringify(body)}`, async () => {
+      const response = await app.request('POST', '/bulk-scrape', { body });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, { error: message, errors: [{ field, message }] });
+    });
+  }
+
+  test('400 lists every problem at once', async () => {
+    const { status, body } = await app.request('POST', '/bulk-scrape', {
+      body: { keywords: [''], locations: valid.locations, maxPages: 0, enrich: 'yes' }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors.map(({ field }) => field), ['keywords[0]', 'maxPages', 'enrich']);
+    assert.equal(body.error, 'keywords[0] must not be empty; maxPages must be between 1 and 40; enrich must be a boolean');
+  });
+});
+
+describe('GET /schema', () => {
+  test('publishes the request schemas without auth', async () => {
+    const { status, body } = await app.request('GET', '/schema', { secret: null });
+
+    assert.equal(status, 200);
+    assert.equal(body.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.deepEqual(Object.keys(body.routes), [
+      'POST /scrape',
+      'POST /bulk-scrape',
+      'POST /schedules',
+      'PATCH /schedules/:name',
+      'POST /selectors/check',
+      'POST /admin/selectors/:provider/activate'
+    ]);
+    assert.deepEqual(body.routes['POST /bulk-scrape'].required, ['keywords', 'locations']);
+    assert.equal(body.routes['POST /bulk-scrape'].properties.maxPages.maximum, 40);
+    assert.deepEqual(body.routes['POST /scrape'].properties.sinks.items.enum, ['supabase', 'webhook', 'file', 'stdout']);
+    assert.deepEqual(body.providers.linkedin.filters.properties.sortBy.enum, ['recent', 'relevance']);
+  });
+});
+
+describe('other request bodies', () => {
+  test('400 for invalid schedule parameters', async () => {
+    const { status, body } = await app.request('POST', '/schedules', {
+      body: { name: 'nightly', cron: '0 3 * * *', keywords: ['PM'], locations: ['Atlantis'], maxPages: 'all' }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [{ field: 'maxPages', message: 'maxPages must be an integer' }]);
+  });
+
+  test('400 for unknown or bookkeeping schedule fields', async () => {
+    const created = await app.request('POST', '/schedules', {
+      body: { name: 'nightly', cron: '0 3 * * *', keywords: ['PM'], locations: ['Berlin'], next_run_at: '2030-01-01T00:00:00Z' }
+    });
+
+    assert.equal(created.status, 400);
+    assert.deepEqual(created.body.errors, [{ field: 'next_run_at', message: 'next_run_at is not a known field' }]);
+
+    const updated = await app.request('PATCH', '/schedules/nightly', { body: { cron: 5, colour: 'blue' } });
+
+    assert.equal(updated.status, 400);
+    assert.deepEqual(updated.body.errors.map(({ field }) => field), ['cron', 'colour']);
+  });
+
+  test('schedules keep their pagination limits', async () => {
+    const created = await app.request('POST', '/schedules', {
+      body: { name: 'paged', cron: '0 3 * * *', keywords: ['PM'], locations: ['Berlin'], maxJobs: 50, maxPages: 2 }
+    });
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.maxJobs, 50);
+    assert.equal(created.body.maxPages, 2);
+
+    const updated = await app.request('PATCH', '/schedules/paged', { body: { maxPages: 3 } });
+    assert.equal(updated.body.maxJobs, 50);
+    assert.equal(updated.body.maxPages, 3);
+
+    assert.equal((await app.request('DELETE', '/schedules/paged')).status, 204);
+  });
+
+  test('400 for a cron expression that never matches', async () => {
+    const { status, body } = await app.request('POST', '/schedules', {
+      body: { name: 'leap', cron: '0 0 31 2 *', keywords: ['PM'], locations: ['Berlin'] }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [{ field: 'cron', message: 'Cron expression never matches: "0 0 31 2 *"' }]);
+  });
+
+  test('400 for an invalid schedule name', async () => {
+    const { status, body } = await app.request('POST', '/schedules', {
+      body: { name: 'every night', cron: '0 3 * * *', keywords: ['PM'], locations: ['Berlin'] }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors.map(({ field }) => field), ['name']);
+  });
+
+  test('400 for an invalid selector check', async () => {
+    const { status, body } = await app.request('POST', '/selectors/check', {
+      body: { threshold: 2, fixtures: { search: 'a.html', detail: 'b.html' } }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [
+      { field: 'threshold', message: 'threshold must be between 0 and 1' },
+      { field: 'fixtures.detail', message: 'fixtures.detail is not a known field' }
+    ]);
+  });
+
+  test('400 when activating a selector profile without a version', async () => {
+    const { status, body } = await app.request('POST', '/admin/selectors/linkedin/activate', { body: {} });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: 'version is required', errors: [{ field: 'version', message: 'version is required' }] });
+  });
+});
+
+describe('GET /geo/locations', () => {
+  test('lists the geo table', async () => {
+    const { status, body } = await app.request('GET', '/geo/locations');
+
+    assert.equal(status, 200);
+    assert.equal(body.count, body.locations.length);
+    assert.deepEqual(body.locations.find(l => l.name === 'Berlin').geoId, '106967730');
+  });
+
+  test('resolves a misspelled name', async () => {
+    const { status, body } = await app.request('GET', '/geo/locations?q=Zuerich');
+
+    assert.equal(status, 200);
+    assert.equal(body.resolved.name, 'Zurich');
+    assert.equal(body.resolved.geoId, '102436504');
+    assert.equal(body.resolved.match, 'fuzzy');
+  });
+
+  test('reports unknown names', async () => {
+    const { body } = await app.request('GET', '/geo/locations?q=Atlantis');
+
+    assert.equal(body.resolved, null);
+    assert.match(body.error, /^Unknown location: "Atlantis"/);
+    assert.deepEqual(body.matches, []);
+  });
+});
+
+describe('DELETE /bulk-scrape/:jobId', () => {
+  test('404 for unknown jobs', async () => {
+    const { status, body } = await app.request('DELETE', '/bulk-scrape/00000000-0000-0000-0000-000000000000');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: 'Job not found' });
+  });
+});
+
+describe('GET /bulk-scrape/:jobId/events', () => {
+  test('404 for unknown jobs', async () => {
+    const { status, body } = await app.request('GET', '/bulk-scrape/00000000-0000-0000-0000-000000000000/events');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: 'Job not found' });
+  });
+});
+
+describe('GET /bulk-scrape/:jobId', () => {
+  test('404 for an unknown job', async () => {
+    const { status, body } = await app.request('GET', '/bulk-scrape/00000000-0000-0000-0000-000000000000');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: 'Job not found' });
+  });
+
+  test('401 without the API secret', async () => {
+    const { status } = await app.request('GET', '/bulk-scrape/anything', { secret: null });
+
+    assert.equal(status, 401);
+  });
+});
+
+describe('ingest outbox endpoints', () => {
+  test('list an empty outbox', async () => {
+    const outbox = await app.request('GET', '/ingest/outbox');
+    assert.equal(outbox.status, 200);
+    assert.deepEqual(outbox.body, { pending: [], dead_letters: 0 });
+
+    const dead = await app.request('GET', '/ingest/dead-letters');
+    assert.equal(dead.status, 200);
+    assert.deepEqual(dead.body, { count: 0, dead_letters: [] });
+  });
+
+  test('404 for unknown dead-lettered batches', async () => {
+    const id = '00000000-0000-0000-0000-000000000000';
+    for (const [method, urlPath] of [
+      ['GET', `/ingest/dead-letters/${id}`],
+      ['POST', `/ingest/dead-letters/${id}/replay`],
+      ['DELETE', `/ingest/dead-letters/${id}`]
+    ]) {
+      const { status, body } = await app.request(method, urlPath);
+
+      assert.equal(status, 404);
+      assert.deepEqual(body, { error: 'Dead-lettered batch not found' });
+    }
+  });
+
+  test('401 without the API secret', async () => {
+    const { status } = await app.request('GET', '/ingest/dead-letters', { secret: null });
+
+    assert.equal(status, 401);
+  });
+});
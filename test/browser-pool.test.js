@@ -0,0 +1,135 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createBrowserPool, processTreeRssMb } from '../lib/core/browser-pool.js';
+
+// Keeps log lines out of the test runner's stdout protocol
+const logger = { log() {}, info() {}, warn() {}, error() {} };
+
+function fakeBrowser(id) {
+  const browser = Object.assign(new EventEmitter(), {
+    id,
+    connected: true,
+    contexts: 0,
+    isConnected: () => browser.connected,
+    crash: () => {
+      browser.connected = false;
+      browser.emit('disconnected');
+    },
+    close: async () => browser.crash(),
+    createBrowserContext: async () => {
+      browser.contexts++;
+      return { newPage: async () => ({}), close: async () => { browser.contexts--; } };
+    }
+  });
+  return browser;
+}
+
+function setup(options = {}) {
+  const launched = [];
+  const pool = createBrowserPool({
+    launch: async () => {
+      const browser = fakeBrowser(launched.length + 1);
+      launched.push(browser);
+      return browser;
+    },
+    logger,
+    ...options
+  });
+  return { pool, launched };
+}
+
+function tick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('createBrowserPool', () => {
+  test('leases isolated contexts on one browser', async () => {
+    const { pool, launched } = setup();
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+
+    assert.equal(launched.length, 1);
+    assert.equal(first.browser, second.browser);
+    assert.notEqual(first.context, second.context);
+    assert.equal(pool.stats().browsers[0].leases, 2);
+
+    await first.release();
+    await first.release();
+    assert.equal(pool.stats().browsers[0].leases, 1);
+    assert.equal(launched[0].contexts, 1);
+  });
+
+  test('spreads leases over up to `size` browsers', async () => {
+    const { pool, launched } = setup({ size: 2 });
+
+    const leases = await Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+
+    assert.equal(launched.length, 2);
+    assert.deepEqual(pool.stats().browsers.map(({ leases: count }) => count).sort(), [1, 2]);
+    await Promise.all(leases.map(lease => lease.release()));
+  });
+
+  test('recycles a browser after maxPagesPerBrowser once its last lease is released', async () => {
+    const { pool, launched } = setup({ maxPagesPerBrowser: 2 });
+
+    const lease = await pool.acquire();
+    await lease.newPage();
+    await lease.newPage();
+    const other = await pool.acquire();
+    await lease.release();
+
+    assert.equal(pool.stats().browsers[0].retiring, true);
+    assert.equal(launched[0].connected, true);
+
+    await other.release();
+    assert.equal(launched[0].connected, false);
+    assert.equal(pool.stats().recycled, 1);
+
+    const fresh = await pool.acquire();
+    assert.equal(fresh.browser, launched[1]);
+  });
+
+  test('recycles a browser above maxRssMb', async () => {
+    const { pool, launched } = setup({ maxRssMb: 500, measureRss: async () => 800 });
+
+    await (await pool.acquire()).release();
+
+    assert.equal(launched[0].connected, false);
+    assert.equal(pool.stats().browsers.length, 0);
+  });
+
+  test('prewarms and replaces disconnected browsers', async () => {
+    const { pool, launched } = setup({ prewarm: true });
+
+    pool.start();
+    await tick();
+    assert.equal(launched.length, 1);
+
+    launched[0].crash();
+    await tick();
+
+    assert.equal(launched.length, 2);
+    assert.equal(pool.stats().disconnected, 1);
+    assert.equal((await pool.acquire()).browser, launched[1]);
+  });
+
+  test('close shuts every browser and refuses new leases', async () => {
+    const { pool, launched } = setup({ size: 2 });
+    await Promise.all([pool.acquire(), pool.acquire()]);
+
+    await pool.close();
+
+    assert.ok(launched.every(browser => !browser.connected));
+    await assert.rejects(pool.acquire(), /closed/);
+  });
+});
+
+describe('processTreeRssMb', () => {
+  test('measures this process, or null without a pid', async () => {
+    assert.equal(await processTreeRssMb(undefined), null);
+    const rss = await processTreeRssMb(process.pid);
+    if (rss !== null) assert.ok(rss > 0);
+  });
+});
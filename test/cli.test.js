@@ -0,0 +1,199 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  EXIT_CODES,
+  bulkExitCode,
+  bulkParamsFromCli,
+  deliveryExitCode,
+  parseCli,
+  parseLocationFlag,
+  readJobFiles,
+  runCli
+} from '../lib/cli.js';
+
+const APP_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function capture() {
+  let text = '';
+  return { write: (chunk) => { text += chunk; }, get text() { return text; } };
+}
+
+async function cli(argv, env = {}) {
+  const stdout = capture();
+  const stderr = capture();
+  const code = await runCli(argv, { env: { DATA_DIR: path.join(dir, 'data'), ...env }, stdout, stderr, appDir: APP_DIR });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe('parseCli', () => {
+  test('parses commands, repeatable flags and a bare --fixtures', () => {
+    const { command, args, options } = parseCli(['bulk', '-k', 'pm', '-k', 'po', '-l', 'Berlin', '--fixtures', '--json']);
+    assert.equal(command, 'bulk');
+    assert.deepEqual(args, []);
+    assert.deepEqual(options.keyword, ['pm', 'po']);
+    assert.equal(options.fixtures, '');
+    assert.equal(options.json, true);
+
+    assert.deepEqual(parseCli(['job', 'https://www.linkedin.com/jobs/view/1']).args, ['https://www.linkedin.com/jobs/view/1']);
+  });
+
+  for (const [argv, message] of [
+    [[], /Missing command/],
+    [['crawl'], /Unknown command: crawl/],
+    [['job'], /exactly one job URL/],
+    [['replay'], /at least one file/],
+    [['bulk', '--max-jobs', 'ten'], /--max-jobs must be a whole number/],
+    [['bulk', '--bogus'], /Unknown option/]
+  ]) {
+    test(`rejects ${argv.join(' ') || 'no arguments'}`, () => {
+      assert.throws(() => parseCli(argv), (error) => message.test(error.message) && error.status === EXIT_CODES.usage);
+    });
+  }
+});
+
+describe('bulkParamsFromCli', () => {
+  test('flags override the config file', () => {
+    const { options } = parseCli(['bulk', '-l', 'Berlin', '-l', 'Atlantis=123', '--max-jobs', '20', '--force']);
+    const params = bulkParamsFromCli(options, { keywords: ['pm'], locations: ['Dublin'], maxJobs: 5, sinks: ['webhook'] });
+
+    assert.deepEqual(params, {
+      keywords: ['pm'],
+      locations: ['Berlin', ['Atlantis', '123']],
+      maxJobs: 20,
+      forceIngest: true,
+      sinks: ['webhook']
+    });
+  });
+
+  test('--output writes to the file sink instead of the configured sinks', () => {
+    assert.deepEqual(bulkParamsFromCli(parseCli(['bulk', '-o', 'jobs.ndjson']).options, { sinks: ['supabase'] }).sinks, ['file']);
+    assert.deepEqual(bulkParamsFromCli(parseCli(['bulk', '-o', 'jobs.ndjson', '-s', 'webhook']).options).sinks, ['webhook', 'file']);
+  });
+
+  test('location flags', () => {
+    assert.equal(parseLocationFlag(' Zurich '), 'Zurich');
+    assert.deepEqual(parseLocationFlag('San Francisco=90000084'), ['San Francisco', '90000084']);
+  });
+});
+
+describe('exit codes', () => {
+  const run = (statuses, errors = []) => ({ progress: { pairs: statuses.map(status => ({ status })) }, errors });
+
+  test('bulk runs', () => {
+    assert.equal(bulkExitCode(run(['done', 'done'])), EXIT_CODES.ok);
+    assert.equal(bulkExitCode(run(['done', 'failed'], [{}])), EXIT_CODES.partial);
+    assert.equal(bulkExitCode(run(['done'], [{ type: 'ingest' }])), EXIT_CODES.partial);
+    assert.equal(bulkExitCode(run(['failed', 'failed'], [{}, {}])), EXIT_CODES.failed);
+  });
+
+  test('deliveries', () => {
+    assert.equal(deliveryExitCode([{ file: { status: 'delivered' } }]), EXIT_CODES.ok);
+    assert.equal(deliveryExitCode([{ file: { status: 'delivered' } }, { file: { status: 'failed' } }]), EXIT_CODES.partial);
+    assert.equal(deliveryExitCode([{ file: { status: 'failed' } }]), EXIT_CODES.failed);
+  });
+});
+
+describe('readJobFiles', () => {
+  test('reads NDJSON, stdout-sink lines and JSON arrays', async () => {
+    const ndjson = path.join(dir, 'mixed.ndjson');
+    await fs.writeFile(ndjson, [
+      JSON.stringify({ job_id: '1', job_title: 'PM' }),
+      '',
+      JSON.stringify({ kind: 'job', context: { url: 'u' }, job: { title: 'Detail' } })
+    ].join('\n'));
+    const array = path.join(dir, 'array.json');
+    await fs.writeFile(array, JSON.stringify([{ title: 'Other' }]));
+
+    const records = await readJobFiles([ndjson, array]);
+
+    assert.deepEqual(records.map(({ kind, job }) => [kind, job.job_title || job.title]), [
+      ['bulk', 'PM'],
+      ['job', 'Detail'],
+      ['job', 'Other']
+    ]);
+    assert.deepEqual(records[0].context, { replayed_from: 'mixed.ndjson' });
+    assert.deepEqual(records[1].context, { url: 'u' });
+  });
+});
+
+describe('runCli', () => {
+  test('--help prints usage', async () => {
+    const { code, stdout } = await cli(['--help']);
+    assert.equal(code, EXIT_CODES.ok);
+    assert.match(stdout, /scrape bulk/);
+  });
+
+  test('bad usage exits 2 with the usage text', async () => {
+    const { code, stderr } = await cli(['bulk', 'extra']);
+    assert.equal(code, EXIT_CODES.usage);
+    assert.match(stderr, /Unexpected argument: extra/);
+    assert.match(stderr, /Usage:/);
+  });
+
+  test('invalid bulk parameters exit 2 before any browser starts', async () => {
+    const { code, stdout } = await cli(['bulk', '-k', 'pm', '-l', 'Atlantis', '--json']);
+    assert.equal(code, EXIT_CODES.usage);
+    assert.match(JSON.parse(stdout).error, /Unknown location: "Atlantis"/);
+  });
+
+  test('missing config file exits 2', async () => {
+    const { code, stderr } = await cli(['bulk', '-c', path.join(dir, 'nope.json')]);
+    assert.equal(code, EXIT_CODES.usage);
+    assert.match(stderr, /Cannot read config file/);
+  });
+
+  test('default sinks must be configured unless it is a dry run', async () => {
+    const input = path.join(dir, 'replay-sinks.ndjson');
+    await fs.writeFile(input, `${JSON.stringify({ job_id: '1' })}\n`);
+
+    const live = await cli(['replay', input]);
+    assert.equal(live.code, EXIT_CODES.usage);
+    assert.match(live.stderr, /Sink "supabase" is not configured/);
+
+    const dry = await cli(['replay', input, '--dry-run', '--json']);
+    assert.equal(dry.code, EXIT_CODES.ok);
+    assert.deepEqual(JSON.parse(dry.stdout).batches, [{ kind: 'bulk', jobs: [{ job_id: '1' }], context: { replayed_from: 'replay-sinks.ndjson' } }]);
+  });
+
+  test('replay delivers saved jobs to --output', async () => {
+    const input = path.join(dir, 'replay-in.ndjson');
+    const output = path.join(dir, 'out', 'replayed.ndjson');
+    await fs.writeFile(input, [{ job_id: '1', job_title: 'A' }, { job_id: '2', job_title: 'B' }].map(job => JSON.stringify(job)).join('\n'));
+
+    const { code, stdout, stderr } = await cli(['replay', input, '-o', output, '--json']);
+
+    assert.equal(code, EXIT_CODES.ok);
+    // Sink and loader logs go to stderr; stdout is only the result
+    assert.match(stderr, /Wrote 2 job\(s\) to .*replayed\.ndjson/);
+    assert.match(stderr, /Selector profiles loaded/);
+    const result = JSON.parse(stdout);
+    assert.equal(result.event, 'result');
+    assert.equal(result.jobs, 2);
+    assert.deepEqual(result.sinks, ['file']);
+    const written = (await fs.readFile(output, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(written.map(job => job.job_id), ['1', '2']);
+  });
+
+  test('--json cannot be combined with the stdout sink', async () => {
+    const input = path.join(dir, 'replay-stdout.ndjson');
+    await fs.writeFile(input, `${JSON.stringify({ job_id: '1' })}\n`);
+
+    const { code, stdout } = await cli(['replay', input, '-s', 'stdout', '--json']);
+    assert.equal(code, EXIT_CODES.usage);
+    assert.match(JSON.parse(stdout).error, /cannot be combined with --json/);
+  });
+});
@@ -0,0 +1,375 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getProvider, registerProvider } from '../lib/providers/index.js';
+import { createSeenJobs } from '../lib/seen-jobs.js';
+import { createRateLimiter } from '../lib/rate-limiter.js';
+import {
+  DEFAULT_SCRAPE_CONFIG,
+  collectJobs,
+  createBrowserPool,
+  createBulkScraper,
+  createRunState,
+  createSinkDelivery,
+  resolveSearch
+} from '../lib/core/index.js';
+
+// The bulk loop against a fake board and an in-memory browser, so worker,
+// dedupe, delivery and recovery logic run without Chrome.
+
+const SEARCH_URL = 'https://board.test/search';
+
+// Keeps log lines out of the test runner's stdout protocol
+const logger = { log() {}, info() {}, warn() {}, error() {} };
+
+// Cards served per search URL; anything missing has no results
+let board = {};
+
+registerProvider({
+  name: 'fakeboard',
+  selectorKeys: { search: ['jobListContainer'], detail: [] },
+  buildSearchUrl: ({ keyword, geoId }) => `${SEARCH_URL}?q=${encodeURIComponent(keyword)}&geo=${geoId}`,
+  isSearchPage: (url) => url.startsWith(SEARCH_URL),
+  isJobUrl: (url) => url.startsWith('https://board.test/job/'),
+  canonicalizeUrl: (url) => url.split('?')[0],
+  dismissModal: async () => {},
+  countJobCards: async (page) => (board[page.url()] || []).length,
+  extractJobs: async (page) => (board[page.url()] || []).map(id => ({
+    job_id: id,
+    job_title: `Job ${id}`,
+    url: `https://board.test/job/${id}?ref=search`
+  })),
+  loadMoreJobs: async () => null,
+  extractJobDetail: async () => ({ title: 'Job', description: 'Details' })
+});
+
+function searchUrl(keyword, geoId) {
+  return `${SEARCH_URL}?q=${encodeURIComponent(keyword)}&geo=${geoId}`;
+}
+
+// Browser whose pages just remember the last URL. `crashOn` disconnects the
+// browser when that URL is opened.
+function fakeBrowser({ crashOn = null } = {}) {
+  const disconnect = () => {
+    if (!browser.connected) return;
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+
+  const newPage = async () => {
+    if (!browser.connected) throw new Error('Target closed');
+    browser.pagesOpened++;
+    let current = 'about:blank';
+    let closed = false;
+    return {
+      browser: () => browser,
+      setViewport: async () => {},
+      setUserAgent: async () => {},
+      goto: async (url) => {
+        if (url === crashOn) {
+          disconnect();
+          throw new Error('Navigation failed because browser has disconnected! Target closed');
+        }
+        current = url;
+      },
+      url: () => current,
+      isClosed: () => closed || !browser.connected,
+      close: async () => { closed = true; },
+      waitForSelector: async () => {},
+      screenshot: async () => {}
+    };
+  };
+
+  const browser = Object.assign(new EventEmitter(), {
+    connected: true,
+    pagesOpened: 0,
+    isConnected: () => browser.connected,
+    close: async () => disconnect(),
+    createBrowserContext: async () => ({ newPage, close: async () => {} })
+  });
+  return browser;
+}
+
+const config = structuredClone(DEFAULT_SCRAPE_CONFIG);
+Object.assign(config.delays, { postNavigation: 0, pageStabilize: 0, zeroResultsExtra: 0, betweenPairs: { min: 0, max: 0 } });
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'core-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function setup({ browsers = [fakeBrowser()], deliver } = {}) {
+  const launched = [];
+  const deliveries = [];
+  const seenJobs = createSeenJobs({ filePath: path.join(dir, `seen-${Date.now()}-${Math.random()}.json`), ttlMs: 60000, logger });
+  const launch = async () => {
+    const browser = browsers[launched.length] || fakeBrowser();
+    launched.push(browser);
+    return browser;
+  };
+
+  const pool = createBrowserPool({ launch, logger });
+
+  const scraper = createBulkScraper({
+    config,
+    selectorProfiles: { getActive: (provider) => ({ provider, version: '1.0.0', search: { jobListContainer: 'ul' }, detail: {} }) },
+    seenJobs,
+    deliver: deliver || (async (sinks, batch) => {
+      deliveries.push({ sinks, ...batch });
+      return Object.fromEntries(sinks.map(name => [name, { status: 'delivered', result: {} }]));
+    }),
+    defaultSinks: ['stdout'],
+    acquire: () => pool.acquire(),
+    enrichLimiter: createRateLimiter({ minIntervalMs: 0 }),
+    screenshotDir: dir,
+    logger
+  });
+
+  return { scraper, launched, deliveries };
+}
+
+function newRun(params) {
+  return { id: 'run-1', params: { provider: 'fakeboard', ...params }, ...createRunState(params, config) };
+}
+
+describe('createRunState', () => {
+  test('one pending pair per keyword and location', () => {
+    const state = createRunState({ keywords: ['a', 'b'], locations: { Berlin: '1', Dublin: '2' } }, config);
+
+    assert.equal(state.progress.total_pairs, 4);
+    assert.deepEqual(
+      state.progress.pairs.map(({ keyword, location, geoId, status }) => [keyword, location, geoId, status]),
+      [['a', 'Berlin', '1', 'pending'], ['a', 'Dublin', '2', 'pending'], ['b', 'Berlin', '1', 'pending'], ['b', 'Dublin', '2', 'pending']]
+    );
+    assert.equal(state.enrichment, null);
+  });
+
+  test('enrichment counters only for enrich runs', () => {
+    const state = createRunState({ keywords: ['a'], locations: { Berlin: '1' }, enrich: true, maxEnrich: 5 }, config);
+    assert.deepEqual(state.enrichment, { max: 5, attempted: 0, enriched: 0, failed: 0, skipped: 0 });
+  });
+});
+
+describe('collectJobs', () => {
+  test('keeps LinkedIn cards apart whose slugs share a number', async () => {
+    // The real extractor, on a page that returns the cards it would read
+    const cards = [
+      'https://www.linkedin.com/jobs/view/product-manager-2-at-acme-4012345678?refId=a',
+      'https://www.linkedin.com/jobs/view/product-owner-2-at-globex-4023456789?refId=b',
+      'https://www.linkedin.com/jobs/view/product-manager-2-at-acme-4012345678?refId=c'
+    ].map((url, i) => ({ job_title: `Job ${i}`, url }));
+    const page = { evaluate: async () => cards };
+
+    const { jobs } = await collectJobs(page, getProvider('linkedin'), {}, { maxJobs: 10, maxPages: 1, logger });
+
+    assert.deepEqual(jobs.map(job => job.job_id), ['4012345678', '4023456789']);
+  });
+});
+
+describe('resolveSearch', () => {
+  test('falls back to the configured time filter', () => {
+    const { provider, filters, timeFilter } = resolveSearch({ provider: 'fakeboard' }, config);
+    assert.equal(provider.name, 'fakeboard');
+    assert.deepEqual(filters, {});
+    assert.equal(timeFilter, config.timeFilter);
+  });
+});
+
+describe('runBulkScrape', () => {
+  test('scrapes every pair and delivers each job once', async () => {
+    board = {
+      [searchUrl('pm', '1')]: ['11', '12'],
+      [searchUrl('pm', '2')]: ['21'],
+      [searchUrl('po', '1')]: ['11', '13']
+    };
+    const { scraper, deliveries } = setup();
+    const run = newRun({ keywords: ['pm', 'po'], locations: { Berlin: '1', Dublin: '2' }, concurrency: 2 });
+    const events = [];
+
+    const result = await scraper.runBulkScrape(run, { onEvent: ({ type, pair, ...details }) => events.push([type, pair.keyword, pair.location, details]) });
+
+    assert.equal(result.success, true);
+    assert.equal(result.total_scraped, 5);
+    assert.equal(result.duplicates_skipped, 1);
+    assert.equal(run.progress.completed_pairs, 4);
+    assert.equal(events.filter(([type]) => type === 'pair_started').length, 4);
+    assert.equal(events.filter(([type]) => type === 'pair_finished').length, 4);
+    const extracted = events.find(([type, keyword, location]) => type === 'jobs_extracted' && keyword === 'po' && location === 'Berlin');
+    assert.deepEqual(extracted[3], { scraped: 2, new_jobs: 1, duplicates: 1, pages: 1 });
+    assert.equal(events.filter(([type]) => type === 'ingest_result').length, 3);
+    assert.deepEqual(events.filter(([type]) => type === 'error').map(([, keyword, location, { error }]) => [keyword, location, error.error]), [
+      ['po', 'Dublin', 'No job listings found on page']
+    ]);
+    assert.deepEqual(
+      deliveries.flatMap(({ jobs }) => jobs.map(job => job.job_id)).sort(),
+      ['11', '12', '13', '21']
+    );
+    assert.ok(deliveries.every(({ sinks, kind }) => sinks[0] === 'stdout' && kind === 'bulk'));
+
+    const [job] = deliveries[0].jobs;
+    assert.match(job.url, /^https:\/\/board\.test\/job\/\d+$/);
+    assert.equal(job.scrape_metadata.selector_profile, 'fakeboard@1.0.0');
+
+    // Dublin has no results for "po"
+    const failed = run.progress.pairs.filter(pair => pair.status === 'failed');
+    assert.deepEqual(failed.map(({ keyword, location, error }) => [keyword, location, error]), [
+      ['po', 'Dublin', 'No job listings found on page']
+    ]);
+    assert.equal(result.errors.length, 1);
+  });
+
+  test('relaunches the browser after a crash and carries on', async () => {
+    board = {
+      [searchUrl('pm', '1')]: ['31'],
+      [searchUrl('pm', '3')]: ['33']
+    };
+    const crashing = fakeBrowser({ crashOn: searchUrl('pm', '2') });
+    const { scraper, launched } = setup({ browsers: [crashing] });
+    const run = newRun({ keywords: ['pm'], locations: { Berlin: '1', Dublin: '2', Zurich: '3' } });
+
+    const result = await scraper.runBulkScrape(run);
+
+    assert.equal(launched.length, 2);
+    assert.deepEqual(run.progress.pairs.map(pair => pair.status), ['done', 'failed', 'done']);
+    assert.match(run.progress.pairs[1].error, /disconnected/);
+    assert.equal(result.total_scraped, 2);
+  });
+
+  test('jobs whose delivery failed are not remembered as sent', async () => {
+    board = { [searchUrl('pm', '1')]: ['41'] };
+    const failing = async (sinks) => Object.fromEntries(sinks.map(name => [name, { status: 'failed', error: 'down' }]));
+    const { scraper } = setup({ deliver: failing });
+
+    const first = newRun({ keywords: ['pm'], locations: { Berlin: '1' } });
+    await scraper.runBulkScrape(first);
+    assert.deepEqual(first.errors.map(({ type, sink, error }) => [type, sink, error]), [['ingest', 'stdout', 'down']]);
+
+    const second = newRun({ keywords: ['pm'], locations: { Berlin: '1' } });
+    await scraper.runBulkScrape(second);
+    assert.equal(second.duplicates_skipped, 0);
+  });
+
+  test('a dry run collects batches, delivers nothing and leaves the cache alone', async () => {
+    board = {
+      [searchUrl('pm', '1')]: ['51', '52'],
+      [searchUrl('po', '1')]: ['52', '53']
+    };
+    const { scraper, deliveries } = setup();
+
+    const dry = newRun({ keywords: ['pm', 'po'], locations: { Berlin: '1' }, dryRun: true });
+    const result = await scraper.runBulkScrape(dry);
+
+    assert.equal(deliveries.length, 0);
+    assert.deepEqual(result.dry_run.batches.map(({ keyword, jobs }) => [keyword, jobs.map(job => job.job_id)]), [
+      ['pm', ['51', '52']],
+      ['po', ['53']]
+    ]);
+    assert.deepEqual(dry.progress.pairs[0].sinks, { stdout: { status: 'dry_run' } });
+    assert.deepEqual(result.dry_run.batches[0].requests, { stdout: { status: 'dry_run' } });
+    assert.equal(dry.duplicates_skipped, 1);
+
+    const live = newRun({ keywords: ['pm'], locations: { Berlin: '1' } });
+    await scraper.runBulkScrape(live);
+    assert.equal(live.duplicates_skipped, 0);
+    assert.equal(deliveries.length, 1);
+  });
+
+  test('cancelling stops at the next pair and keeps what was delivered', async () => {
+    board = {
+      [searchUrl('pm', '1')]: ['61'],
+      [searchUrl('pm', '2')]: ['62']
+    };
+    const { scraper, deliveries } = setup();
+    const run = newRun({ keywords: ['pm'], locations: { Berlin: '1', Dublin: '2', Zurich: '3' } });
+    const controller = new AbortController();
+
+    const result = await scraper.runBulkScrape(run, {
+      signal: controller.signal,
+      onEvent: ({ type }) => { if (type === 'pair_finished') controller.abort(); }
+    });
+
+    assert.equal(result.cancelled, true);
+    assert.deepEqual(run.progress.pairs.map(pair => pair.status), ['done', 'cancelled', 'cancelled']);
+    assert.deepEqual(deliveries.flatMap(({ jobs }) => jobs.map(job => job.job_id)), ['61']);
+  });
+
+  test('throws when the browser cannot be launched', async () => {
+    const scraper = createBulkScraper({
+      config,
+      selectorProfiles: { getActive: (provider) => ({ provider, version: '1.0.0', search: {}, detail: {} }) },
+      seenJobs: createSeenJobs({ filePath: path.join(dir, 'launch.json'), ttlMs: 60000, logger }),
+      deliver: async () => ({}),
+      defaultSinks: ['stdout'],
+      acquire: createBrowserPool({ launch: async () => { throw new Error('Failed to launch the browser process'); }, logger }).acquire,
+      enrichLimiter: createRateLimiter({ minIntervalMs: 0 }),
+      screenshotDir: dir,
+      logger
+    });
+
+    await assert.rejects(
+      scraper.runBulkScrape(newRun({ keywords: ['pm'], locations: { Berlin: '1' } })),
+      /Failed to launch/
+    );
+  });
+});
+
+describe('createSinkDelivery', () => {
+  const registry = {
+    get: (name) => ({
+      deliver: async ({ jobs }) => {
+        if (name === 'broken') throw new Error('sink down');
+        return { received: jobs.length };
+      },
+      preview: ({ jobs }) => ({ url: `https://${name}.test`, body: { jobs } })
+    })
+  };
+
+  test('queues failed batches in the outbox', async () => {
+    const queued = [];
+    const outbox = { add: async (kind, payload, meta) => { queued.push({ kind, payload, meta }); return { id: 'entry-1' }; } };
+    const { deliver } = createSinkDelivery({ registry, outbox, logger });
+
+    const results = await deliver(['ok', 'broken'], { kind: 'bulk', jobs: [{ job_id: '1' }], context: {} });
+
+    assert.deepEqual(results, {
+      ok: { status: 'delivered', result: { received: 1 } },
+      broken: { status: 'queued', outbox_id: 'entry-1', error: 'sink down' }
+    });
+    assert.equal(queued[0].meta.sink, 'broken');
+  });
+
+  test('without an outbox a failed batch is lost', async () => {
+    const { deliver } = createSinkDelivery({ registry, logger });
+    const results = await deliver(['broken'], { kind: 'job', jobs: [{}], context: {} });
+    assert.deepEqual(results, { broken: { status: 'failed', error: 'sink down' } });
+  });
+
+  test('reports each attempt to onDelivery', async () => {
+    const attempts = [];
+    const { deliver } = createSinkDelivery({ registry, onDelivery: (attempt) => attempts.push(attempt), logger });
+
+    await deliver(['ok', 'broken'], { kind: 'bulk', jobs: [{}], context: {} });
+
+    assert.deepEqual(attempts.map(({ sink, kind, error }) => ({ sink, kind, error: error?.message })), [
+      { sink: 'ok', kind: 'bulk', error: undefined },
+      { sink: 'broken', kind: 'bulk', error: 'sink down' }
+    ]);
+    assert.ok(attempts.every(({ seconds }) => seconds >= 0));
+  });
+
+  test('previews what each sink would be sent', () => {
+    const { preview } = createSinkDelivery({ registry, logger });
+    assert.deepEqual(preview(['ok', 'broken'], { kind: 'bulk', jobs: [{ job_id: '1' }], context: {} }), {
+      ok: { status: 'dry_run', url: 'https://ok.test', body: { jobs: [{ job_id: '1' }] } },
+      broken: { status: 'dry_run', url: 'https://broken.test', body: { jobs: [{ job_id: '1' }] } }
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextCronRun, parseCron } from '../lib/cron.js';
+
+describe('parseCron', () => {
+  test('treats day fields starting with "*" as unrestricted', () => {
+    assert.equal(parseCron('0 0 */2 * 1').dayRestricted, false);
+    assert.equal(parseCron('0 0 1 * */2').dayRestricted, false);
+    assert.equal(parseCron('0 0 1,15 * 1').dayRestricted, true);
+  });
+});
+
+describe('nextCronRun', () => {
+  test('a stepped day of month still has to match the day of week', () => {
+    // Odd days that are Mondays; matching either would give Saturday the 3rd
+    const from = new Date('2026-01-01T00:00:00Z');
+    assert.equal(nextCronRun('0 0 */2 * 1', from).toISOString(), '2026-01-05T00:00:00.000Z');
+  });
+
+  test('either day field may match when both are restricted', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    assert.equal(nextCronRun('0 0 15 * 1', from).toISOString(), '2026-01-05T00:00:00.000Z');
+  });
+
+  test('throws for expressions that never match', () => {
+    assert.doesNotThrow(() => parseCron('0 0 31 2 *'));
+    assert.throws(() => nextCronRun('0 0 31 2 *'), /never matches/);
+  });
+});
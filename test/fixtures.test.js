@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { enableFixtureReplay } from '../lib/fixtures.js';
+
+// Request that was already handled, or whose page closed, by the time the
+// fixture is served
+function staleRequest(resourceType) {
+  const calls = [];
+  const fail = (method) => async () => {
+    calls.push(method);
+    throw new Error('Request is already handled!');
+  };
+  return { calls, url: () => 'https://www.linkedin.com/jobs/view/4012345678', resourceType: () => resourceType, abort: fail('abort'), respond: fail('respond') };
+}
+
+describe('enableFixtureReplay', () => {
+  test('ignores requests that can no longer be answered', async () => {
+    const page = Object.assign(new EventEmitter(), { setRequestInterception: async () => {}, isClosed: () => true });
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      await enableFixtureReplay(page, { lookup: async () => '<html></html>' });
+      const document = staleRequest('document');
+      const image = staleRequest('image');
+      page.emit('request', document);
+      page.emit('request', image);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      assert.deepEqual(document.calls, ['respond', 'abort']);
+      assert.deepEqual(image.calls, ['abort']);
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+});
@@ -0,0 +1,177 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createGeoLookup, editDistance, normalizeName } from '../lib/geo.js';
+
+const BUNDLED_TABLE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'geo', 'linkedin.json');
+
+const logger = { log() {}, info() {}, warn() {}, error() {} };
+
+let dir;
+let geo;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'geo-test-'));
+  geo = createGeoLookup({ filePath: BUNDLED_TABLE, logger });
+  assert.equal((await geo.reload()).applied, true);
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeTable(name, locations) {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, JSON.stringify({ version: 'test', locations }));
+  return filePath;
+}
+
+describe('normalizeName / editDistance', () => {
+  test('ignores case, accents and punctuation', () => {
+    assert.equal(normalizeName('  Zürich, CH '), 'zurich ch');
+    assert.equal(normalizeName('Genève'), 'geneve');
+  });
+
+  test('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('berlin', 'berlin'), 0);
+    assert.equal(editDistance('berln', 'berlin'), 1);
+    assert.equal(editDistance('zurich', 'zuerich'), 1);
+    assert.equal(editDistance('london', 'lindon'), 1);
+    assert.equal(editDistance('', 'bern'), 4);
+  });
+});
+
+describe('resolve', () => {
+  test('matches names, aliases and "name, country" exactly', () => {
+    assert.deepEqual(geo.resolve('berlin'), { location: geo.list().find(l => l.name === 'Berlin'), match: 'exact' });
+    assert.equal(geo.resolve('Genf').location.geoId, '104406358');
+    assert.equal(geo.resolve('Dublin, Ireland').location.geoId, '105178154');
+    assert.equal(geo.resolve('SF Bay Area').location.name, 'San Francisco');
+  });
+
+  test('accepts a small typo when one location is closest', () => {
+    const { location, match } = geo.resolve('Amsterdm');
+
+    assert.equal(location.name, 'Amsterdam');
+    assert.equal(match, 'fuzzy');
+  });
+
+  test('does not guess between equally close names', () => {
+    assert.deepEqual(geo.resolve('Berln'), { error: 'Unknown location: "Berln" (did you mean Berlin, Bern?)' });
+  });
+
+  test('short names must match exactly', () => {
+    assert.match(geo.resolve('Brn').error, /^Unknown location: "Brn"/);
+  });
+});
+
+describe('resolveLocations', () => {
+  test('resolves an array of names to table names and geoIds', () => {
+    assert.deepEqual(geo.resolveLocations(['Berlin', 'zürich', 'Utrekht']), {
+      locations: { Berlin: '106967730', Zurich: '102436504', Utrecht: '100163908' },
+      warnings: ['"Utrekht" resolved to Utrecht (100163908)']
+    });
+  });
+
+  test('mixes names with [name, geoId] pairs in order', () => {
+    assert.deepEqual(geo.resolveLocations([['Dublin Area', 123], 'Dublin']), {
+      locations: { 'Dublin Area': '123', Dublin: '105178154' },
+      warnings: []
+    });
+  });
+
+  test('keeps explicit geoIds and warns where they disagree with the table', () => {
+    assert.deepEqual(geo.resolveLocations({ 'Zurich Area': 123, Zurich: '102436504', Geneva: '42' }), {
+      locations: { 'Zurich Area': '123', Zurich: '102436504', Geneva: '42' },
+      warnings: ['Geneva uses geoId 42; the geo table has 104406358']
+    });
+  });
+
+  test('warns when an unknown name uses a known geoId', () => {
+    assert.deepEqual(geo.resolveLocations({ 'Dublin City': '105178154' }).warnings, [
+      'Dublin City uses geoId 105178154, which the geo table lists as Dublin'
+    ]);
+  });
+
+  test('rejects a known name with another location\'s geoId', () => {
+    assert.deepEqual(geo.resolveLocations({ Berlin: 105178154 }), {
+      error: 'Conflicting geoId for Berlin: 105178154 is Dublin (Berlin is 106967730)'
+    });
+  });
+
+  test('rejects duplicate geoIds', () => {
+    assert.deepEqual(geo.resolveLocations(['London', 'Greater London']), {
+      error: 'Duplicate geoId 90009496 for London and Greater London'
+    });
+    assert.deepEqual(geo.resolveLocations({ A: '1', B: '1' }), { error: 'Duplicate geoId 1 for A and B' });
+  });
+
+  test('rejects duplicate names', () => {
+    assert.deepEqual(geo.resolveLocations(['Berlin', ['Berlin', '999']]), {
+      error: 'Duplicate location Berlin for Berlin and Berlin'
+    });
+    assert.deepEqual(geo.resolveLocations([['Remote', '1'], ['Remote', '2']]), {
+      error: 'Duplicate location Remote for Remote and Remote'
+    });
+  });
+
+  test('rejects malformed input', () => {
+    assert.match(geo.resolveLocations('Berlin').error, /^Invalid locations/);
+    assert.match(geo.resolveLocations(['Berlin', 7]).error, /^Invalid locations/);
+  });
+});
+
+describe('search', () => {
+  test('ranks exact, prefix and close matches', () => {
+    assert.deepEqual(geo.search('san').map(({ location }) => location.name), ['San Francisco']);
+    assert.deepEqual(geo.search('Berlin').map(({ location, distance }) => [location.name, distance]), [
+      ['Berlin', 0],
+      ['Bern', 2]
+    ]);
+  });
+});
+
+describe('reload', () => {
+  test('loads the bundled table', async () => {
+    const info = geo.info();
+
+    assert.equal(info.count, geo.list().length);
+    assert.ok(info.count > 20);
+  });
+
+  test('applies an edited table', async () => {
+    const custom = createGeoLookup({
+      filePath: await writeTable('custom.json', [{ name: 'Munich', geoId: 1, aliases: ['München'] }]),
+      logger
+    });
+
+    assert.deepEqual(await custom.reload(), { applied: true, errors: [], version: 'test', count: 1 });
+    assert.equal(custom.resolve('Muenchen').location.geoId, '1');
+  });
+
+  test('rejects an invalid table and keeps the previous one', async () => {
+    const filePath = await writeTable('table.json', [{ name: 'Berlin', geoId: '1' }]);
+    const custom = createGeoLookup({ filePath, logger });
+    await custom.reload();
+
+    await writeTable('table.json', [
+      { name: 'Berlin', geoId: '1' },
+      { name: 'Dublin', geoId: '1' },
+      { name: 'Berlín', geoId: '2' },
+      { name: 'Nowhere' }
+    ]);
+    const result = await custom.reload();
+
+    assert.equal(result.applied, false);
+    assert.deepEqual(result.errors, [
+      '"Dublin": geoId 1 is already used by "Berlin"',
+      '"Berlín": "berlin" already refers to "Berlin"',
+      '"Nowhere": "geoId" must be numeric'
+    ]);
+    assert.equal(custom.resolve('Berlin').location.geoId, '1');
+    assert.equal(custom.info().count, 1);
+  });
+});
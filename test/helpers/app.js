@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import puppeteer from 'puppeteer';
+import { startStubServer } from './stub-server.js';
+
+const TEST_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const API_SECRET = 'test-secret';
+export const BOT_TOKEN = 'test-bot-token';
+
+// Point the server at the stub and the test fixtures, then import it. The
+// server reads its configuration at import time, so this has to run before
+// anything else imports server.js. `env` overrides individual variables.
+export async function startTestApp(env = {}) {
+  // The server logs every step; keep the test report readable (and keep
+  // the log lines out of the test runner's stdout protocol).
+  if (!process.env.TEST_VERBOSE) {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      console[method] = () => {};
+    }
+  }
+
+  const stub = await startStubServer();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-test-'));
+
+  Object.assign(process.env, {
+    INGEST_JOB_URL: `${stub.url}/functions/v1/ingest-job`,
+    SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
+    API_SECRET,
+    ERROR_ALERT_BOT_TOKEN: BOT_TOKEN,
+    ERROR_ALERT_CHAT_ID: '42',
+    TELEGRAM_API_URL: stub.url,
+    DATA_DIR: dataDir,
+    FIXTURES_DIR: path.join(TEST_DIR, 'fixtures'),
+    FIXTURE_REPLAY: 'true',
+    BULK_ENRICH_INTERVAL_MS: '100',
+    ...env
+  });
+
+  const { app } = await import('../../server.js');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, { body, secret = API_SECRET, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(secret && { 'x-api-secret': secret }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const type = response.headers.get('content-type') || '';
+    const data = type.includes('application/json') ? await response.json() : await response.arrayBuffer();
+    return { status: response.status, headers: response.headers, body: data };
+  }
+
+  // Poll a bulk job until the worker is done with it
+  async function waitForBulkJob(jobId, { timeoutMs = 120000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const { body } = await request('GET', `/bulk-scrape/${jobId}`);
+      if (body.status === 'completed' || body.status === 'failed') {
+        return body;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`Bulk job ${jobId} did not finish within ${timeoutMs}ms`);
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await stub.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, stub, request, waitForBulkJob, close };
+}
+
+// Tests that drive a real page are skipped where Chrome can't start (e.g. a
+// container without its shared libraries).
+let browserCheck = null;
+
+export function browserAvailable() {
+  if (!browserCheck) {
+    browserCheck = puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+      timeout: 30000
+    })
+      .then(async (browser) => {
+        await browser.close();
+        return true;
+      })
+      .catch(() => false);
+  }
+  return browserCheck;
+}
@@ -0,0 +1,69 @@
+import http from 'http';
+
+// ============================================================================
+// STUB INGEST + TELEGRAM SERVER
+// ============================================================================
+//
+// Stands in for the Supabase edge functions and the Telegram bot API. Every
+// request is recorded so tests can assert on what the scraper sent, and the
+// response for a route can be overridden to exercise failure paths.
+
+export async function startStubServer() {
+  const requests = [];
+  const overrides = new Map();
+
+  const defaults = {
+    'POST /functions/v1/ingest-job': (body) => ({
+      status: 200,
+      body: { success: true, job: { id: `job-${body.external_id}`, title: body.title } }
+    }),
+    'POST /functions/v1/ingest-scraped-jobs': (body) => ({
+      status: 200,
+      body: { success: true, inserted: body.jobs.length }
+    }),
+    'POST /webhook': () => ({ status: 200, body: { ok: true } })
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (_e) {
+        body = raw;
+      }
+
+      // Telegram paths carry the bot token: /bot<token>/sendMessage
+      const route = `${req.method} ${req.url.replace(/^\/bot[^/]+\//, '/bot/')}`;
+      requests.push({ route, headers: req.headers, body });
+
+      const handler = overrides.get(route) || defaults[route];
+      const { status, body: responseBody } = handler
+        ? handler(body)
+        : route === 'POST /bot/sendMessage'
+          ? { status: 200, body: { ok: true } }
+          : { status: 404, body: { error: 'Not found' } };
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+    // Only requests for one route, e.g. 'POST /functions/v1/ingest-job'
+    requestsFor: (route) => requests.filter(r => r.route === route),
+    respondWith: (route, status, body) => overrides.set(route, () => ({ status, body })),
+    reset: () => {
+      requests.length = 0;
+      overrides.clear();
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
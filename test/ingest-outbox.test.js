@@ -0,0 +1,193 @@
+import { after, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { backoffDelay, createIngestOutbox } from '../lib/ingest-outbox.js';
+
+const logger = { log() {}, info() {}, warn() {}, error() {} };
+
+const dirs = [];
+
+async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-test-'));
+  dirs.push(dir);
+  return dir;
+}
+
+after(async () => {
+  await Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+// Retries are due immediately so tick() attempts every pending entry
+function createOutbox(dir, options = {}) {
+  return createIngestOutbox({ dir, baseDelayMs: 0, maxDelayMs: 0, logger, ...options });
+}
+
+describe('backoffDelay', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 10000 };
+
+  test('doubles per attempt and caps at maxDelayMs', () => {
+    assert.equal(backoffDelay(1, options, () => 1), 1000);
+    assert.equal(backoffDelay(2, options, () => 1), 2000);
+    assert.equal(backoffDelay(3, options, () => 1), 4000);
+    assert.equal(backoffDelay(10, options, () => 1), 10000);
+  });
+
+  test('jitters within the upper half of the delay', () => {
+    assert.equal(backoffDelay(3, options, () => 0), 2000);
+    assert.equal(backoffDelay(3, options, () => 0.5), 3000);
+  });
+});
+
+describe('createIngestOutbox', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await tempDir();
+  });
+
+  test('queues a failed payload on disk and delivers it on retry', async () => {
+    const delivered = [];
+    const outbox = createOutbox(dir, { deliver: async (entry) => delivered.push(entry.payload) });
+
+    const entry = await outbox.add('bulk', { jobs: [{ job_id: '1' }] }, {
+      sink: 'supabase',
+      context: { keyword: 'pm' },
+      error: new Error('ingest down')
+    });
+
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.last_error, 'ingest down');
+    assert.ok(await fs.stat(path.join(dir, 'pending', `${entry.id}.json`)));
+
+    await outbox.tick();
+
+    assert.deepEqual(delivered, [{ jobs: [{ job_id: '1' }] }]);
+    assert.deepEqual(outbox.stats(), { pending: 0, dead: 0 });
+    await assert.rejects(fs.stat(path.join(dir, 'pending', `${entry.id}.json`)), { code: 'ENOENT' });
+  });
+
+  test('dead-letters after maxAttempts and reports it', async () => {
+    const deadLettered = [];
+    const outbox = createOutbox(dir, {
+      maxAttempts: 3,
+      deliver: async () => { throw new Error('still down'); },
+      onDeadLetter: (entry) => deadLettered.push(entry.id)
+    });
+
+    const { id } = await outbox.add('job', { title: 'PM' }, { error: new Error('down') });
+    await outbox.tick();
+    assert.deepEqual(outbox.stats(), { pending: 1, dead: 0 });
+    await outbox.tick();
+
+    assert.deepEqual(outbox.stats(), { pending: 0, dead: 1 });
+    assert.deepEqual(deadLettered, [id]);
+
+    const dead = await outbox.getDead(id);
+    assert.equal(dead.attempts, 3);
+    assert.equal(dead.last_error, 'still down');
+    assert.equal(dead.next_attempt_at, null);
+    assert.ok(await fs.stat(path.join(dir, 'dead', `${id}.json`)));
+  });
+
+  test('reloads pending and dead-lettered entries from disk', async () => {
+    const failing = createOutbox(dir, { maxAttempts: 1, deliver: async () => { throw new Error('down'); } });
+    await failing.add('job', { title: 'dead' }, { error: new Error('down') });
+    await failing.tick();
+    await failing.add('job', { title: 'queued' }, { error: new Error('down') });
+
+    const restarted = createOutbox(dir, { deliver: async () => {} });
+
+    assert.deepEqual((await restarted.listPending()).map(e => e.payload.title), ['queued']);
+    assert.deepEqual((await restarted.listDead()).map(e => e.payload.title), ['dead']);
+  });
+
+  test('replay delivers a dead-lettered batch and removes it', async () => {
+    let up = false;
+    const outbox = createOutbox(dir, {
+      maxAttempts: 1,
+      deliver: async () => {
+        if (!up) throw new Error('down');
+        return { inserted: 2 };
+      }
+    });
+
+    const { id } = await outbox.add('bulk', { jobs: [{}, {}] }, { error: new Error('down') });
+    await outbox.tick();
+    assert.equal(outbox.stats().dead, 1);
+
+    up = true;
+    const replayed = await outbox.replay(id);
+
+    assert.equal(replayed.delivered, true);
+    assert.deepEqual(replayed.result, { inserted: 2 });
+    assert.equal(replayed.entry.items, 2);
+    assert.deepEqual(outbox.stats(), { pending: 0, dead: 0 });
+  });
+
+  test('a failed replay goes back to the retry queue with fresh attempts', async () => {
+    const outbox = createOutbox(dir, { maxAttempts: 2, deliver: async () => { throw new Error('down'); } });
+
+    const { id } = await outbox.add('job', {}, { error: new Error('down') });
+    await outbox.tick();
+    assert.equal(outbox.stats().dead, 1);
+
+    const replayed = await outbox.replay(id);
+
+    assert.equal(replayed.delivered, false);
+    assert.equal(replayed.error, 'down');
+    assert.equal(replayed.entry.attempts, 1);
+    assert.deepEqual(outbox.stats(), { pending: 1, dead: 0 });
+  });
+
+  test('a tick during a replay does not deliver the batch again', async () => {
+    // A dead-lettered entry whose last retry time is in the past, so it looks
+    // due to a tick as soon as the replay puts it back in the queue
+    const id = 'replayed-entry';
+    await fs.mkdir(path.join(dir, 'dead'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'dead', `${id}.json`), JSON.stringify({
+      id,
+      kind: 'bulk',
+      sink: 'supabase',
+      attempts: 5,
+      next_attempt_at: new Date(Date.now() - 60000).toISOString(),
+      dead_lettered_at: new Date().toISOString(),
+      payload: { jobs: [{}] }
+    }));
+
+    let calls = 0;
+    let finish;
+    const outbox = createOutbox(dir, {
+      deliver: async () => {
+        calls++;
+        await new Promise(resolve => { finish = resolve; });
+        return { inserted: 1 };
+      }
+    });
+
+    const replaying = outbox.replay(id);
+    while (!finish) await new Promise(resolve => setImmediate(resolve));
+    const ticking = outbox.tick();
+    await new Promise(resolve => setImmediate(resolve));
+    finish();
+    await ticking;
+
+    assert.equal((await replaying).delivered, true);
+    assert.equal(calls, 1);
+    assert.deepEqual(outbox.stats(), { pending: 0, dead: 0 });
+  });
+
+  test('discard removes a dead-lettered batch; unknown ids are 404s', async () => {
+    const outbox = createOutbox(dir, { maxAttempts: 1, deliver: async () => { throw new Error('down'); } });
+
+    const { id } = await outbox.add('job', {}, { error: new Error('down') });
+    await outbox.tick();
+    await outbox.discard(id);
+
+    assert.deepEqual(outbox.stats(), { pending: 0, dead: 0 });
+    await assert.rejects(fs.stat(path.join(dir, 'dead', `${id}.json`)), { code: 'ENOENT' });
+    await assert.rejects(outbox.discard(id), { status: 404 });
+    await assert.rejects(outbox.replay(id), { status: 404 });
+  });
+});
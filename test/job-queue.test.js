@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue } from '../lib/job-queue.js';
+
+// Keeps log lines out of the test runner's stdout protocol
+const logger = { log() {}, info() {}, warn() {}, error() {} };
+
+// Worker that runs until its signal aborts
+function blockingWorker(started) {
+  return (job, { signal }) => new Promise(resolve => {
+    started.push(job.id);
+    signal.addEventListener('abort', () => resolve({ stopped: true }));
+  });
+}
+
+function tick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('createJobQueue cancellation', () => {
+  test('a queued job is dropped without reaching the worker', async () => {
+    const started = [];
+    const cancelled = [];
+    const queue = createJobQueue({ worker: blockingWorker(started), onCancel: (job) => cancelled.push(job.id), logger });
+
+    const first = queue.enqueue({});
+    const second = queue.enqueue({});
+    await tick();
+
+    assert.equal(queue.cancel(second.id).status, 'cancelled');
+    assert.ok(second.finished_at);
+    assert.deepEqual(cancelled, [second.id]);
+    assert.deepEqual(started, [first.id]);
+    assert.equal(queue.position(second.id), null);
+    assert.equal(queue.cancel('unknown'), null);
+  });
+
+  test('a running job is aborted and ends as cancelled', async () => {
+    const queue = createJobQueue({ worker: blockingWorker([]), logger });
+    const job = queue.enqueue({});
+    await tick();
+
+    assert.equal(queue.cancel(job.id).status, 'cancelling');
+    await tick();
+
+    assert.equal(job.status, 'cancelled');
+    assert.deepEqual(job.result, { stopped: true });
+  });
+
+  test('close cancels everything, waits for running jobs and refuses new ones', async () => {
+    const started = [];
+    const queue = createJobQueue({ worker: blockingWorker(started), logger });
+    const running = queue.enqueue({});
+    const queued = queue.enqueue({});
+    await tick();
+
+    await queue.close();
+
+    assert.equal(running.status, 'cancelled');
+    assert.equal(queued.status, 'cancelled');
+    assert.equal(started.length, 1);
+    assert.throws(() => queue.enqueue({}), (error) => error.status === 503);
+  });
+
+  test('refuses jobs beyond maxPending', async () => {
+    const queue = createJobQueue({ worker: blockingWorker([]), maxPending: 1, logger });
+    queue.enqueue({});
+    await tick();
+    queue.enqueue({});
+
+    assert.throws(() => queue.enqueue({}), (error) => error.status === 429 && /Queue is full/.test(error.message));
+    await queue.close();
+  });
+});
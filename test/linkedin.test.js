@@ -0,0 +1,158 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import linkedin, { jobIdFromUrl, parseRelativeDate } from '../lib/providers/linkedin.js';
+
+describe('linkedin.canonicalizeUrl', () => {
+  test('reduces slugged job URLs to /jobs/view/<id>', () => {
+    assert.equal(
+      linkedin.canonicalizeUrl('https://de.linkedin.com/jobs/view/senior-product-manager-at-acme-4012345678?refId=abc&trackingId=xyz'),
+      'https://de.linkedin.com/jobs/view/4012345678'
+    );
+  });
+
+  test('leaves URLs without a slugged id alone', () => {
+    assert.equal(linkedin.canonicalizeUrl('https://www.linkedin.com/jobs/view/4012345678'), 'https://www.linkedin.com/jobs/view/4012345678');
+    assert.equal(linkedin.canonicalizeUrl('https://example.com/careers/1'), 'https://example.com/careers/1');
+    assert.equal(linkedin.canonicalizeUrl(''), '');
+    assert.equal(linkedin.canonicalizeUrl('/jobs/view/4012345678'), '/jobs/view/4012345678');
+  });
+});
+
+describe('jobIdFromUrl', () => {
+  test('takes the posting ID at the end of the path, not digits in the slug', () => {
+    assert.equal(jobIdFromUrl('https://www.linkedin.com/jobs/view/senior-product-manager-2-at-acme-4012345678?refId=abc'), '4012345678');
+    assert.equal(jobIdFromUrl('https://www.linkedin.com/jobs/view/product-owner-2-at-globex-4023456789/'), '4023456789');
+    assert.equal(jobIdFromUrl('https://www.linkedin.com/jobs/view/4012345678'), '4012345678');
+    assert.equal(
+      linkedin.canonicalizeUrl('https://de.linkedin.com/jobs/view/senior-product-manager-2-at-acme-4012345678?refId=abc'),
+      'https://de.linkedin.com/jobs/view/4012345678'
+    );
+  });
+
+  test('is empty without a posting ID', () => {
+    assert.equal(jobIdFromUrl('https://www.linkedin.com/jobs/view/senior-product-manager-2-at-acme'), '');
+    assert.equal(jobIdFromUrl('https://example.com/careers/1'), '');
+    assert.equal(jobIdFromUrl(''), '');
+  });
+});
+
+describe('linkedin.extractJobDetail', () => {
+  test('takes external_id from the posting ID of a slugged URL', async () => {
+    const page = {
+      evaluate: async () => ({
+        title: 'Manager',
+        posted_text: null,
+        url: 'https://de.linkedin.com/jobs/view/manager-2-at-acme-4012345678?refId=abc'
+      })
+    };
+
+    const detail = await linkedin.extractJobDetail(page, {});
+    assert.equal(detail.external_id, '4012345678');
+    assert.equal(detail.posted_at, null);
+  });
+});
+
+describe('linkedin.buildSearchUrl', () => {
+  test('encodes keyword, time filter and geoId', () => {
+    assert.equal(
+      linkedin.buildSearchUrl({ keyword: 'Product Manager', geoId: 105178154, timeFilter: 'r28800' }),
+      'https://www.linkedin.com/jobs/search/?keywords=Product+Manager&f_TPR=r28800&geoId=105178154'
+    );
+  });
+});
+
+describe('linkedin.parseFilters', () => {
+  test('normalizes names into a stable order and resolves the time window', () => {
+    assert.deepEqual(
+      linkedin.parseFilters({
+        workplaceType: ['hybrid', 'remote', 'remote'],
+        experienceLevel: 'mid-senior',
+        jobType: ['contract', 'full-time'],
+        companyIds: [1441, '1035'],
+        timeWindow: 'past-week',
+        sortBy: 'recent',
+        distance: 25
+      }),
+      {
+        filters: {
+          workplaceType: ['remote', 'hybrid'],
+          experienceLevel: ['mid-senior'],
+          jobType: ['full-time', 'contract'],
+          timeWindow: 'r604800',
+          companyIds: ['1035', '1441'],
+          sortBy: 'recent',
+          distance: 25
+        }
+      }
+    );
+    assert.deepEqual(linkedin.parseFilters({ timeWindow: 7200 }), { filters: { timeWindow: 'r7200' } });
+    assert.deepEqual(linkedin.parseFilters({}), { filters: {} });
+  });
+
+  test('rejects unknown keys and values', () => {
+    const cases = [
+      [[], 'Invalid filters (must be an object)'],
+      [{ salary: '100k' }, 'Unknown filter: salary (available: workplaceType, experienceLevel, jobType, timeWindow, companyIds, sortBy, distance)'],
+      [{ workplaceType: 'moon' }, 'Invalid filters.workplaceType (expected any of: on-site, remote, hybrid)'],
+      [{ jobType: [] }, 'Invalid filters.jobType (expected any of: full-time, part-time, contract, temporary, volunteer, internship, other)'],
+      [{ timeWindow: 'yesterday' }, 'Invalid filters.timeWindow (expected seconds or one of: past-hour, past-8-hours, past-24-hours, past-week, past-month)'],
+      [{ companyIds: ['acme'] }, 'Invalid filters.companyIds (must be a non-empty array of numeric LinkedIn company IDs)'],
+      [{ sortBy: 'oldest' }, 'Invalid filters.sortBy (expected one of: recent, relevance)'],
+      [{ distance: 30 }, 'Invalid filters.distance (expected one of: 0, 5, 10, 25, 50, 100 miles)']
+    ];
+
+    for (const [raw, error] of cases) {
+      assert.deepEqual(linkedin.parseFilters(raw), { error });
+    }
+  });
+
+  test('maps filters onto the search URL parameters', () => {
+    const { filters } = linkedin.parseFilters({
+      workplaceType: ['remote', 'hybrid'],
+      experienceLevel: ['entry', 'associate'],
+      jobType: 'full-time',
+      companyIds: ['1035'],
+      sortBy: 'recent',
+      distance: 10
+    });
+    const url = new URL(linkedin.buildSearchUrl({ keyword: 'PM', geoId: 1, timeFilter: 'r86400', filters }));
+
+    assert.deepEqual(Object.fromEntries(url.searchParams), {
+      keywords: 'PM',
+      f_TPR: 'r86400',
+      geoId: '1',
+      f_WT: '2,3',
+      f_E: '2,3',
+      f_JT: 'F',
+      f_C: '1035',
+      sortBy: 'DD',
+      distance: '10'
+    });
+  });
+});
+
+describe('linkedin.isJobUrl', () => {
+  test('accepts LinkedIn job view URLs only', () => {
+    assert.equal(linkedin.isJobUrl('https://www.linkedin.com/jobs/view/4012345678'), true);
+    assert.equal(linkedin.isJobUrl('https://de.linkedin.com/jobs/view/pm-at-acme-4012345678'), true);
+    assert.equal(linkedin.isJobUrl('https://www.linkedin.com/jobs/search/?keywords=pm'), false);
+    assert.equal(linkedin.isJobUrl('https://notlinkedin.com/jobs/view/1'), false);
+    assert.equal(linkedin.isJobUrl('not a url'), false);
+  });
+});
+
+describe('parseRelativeDate', () => {
+  const now = new Date('2026-10-18T12:00:00.000Z');
+
+  test('subtracts hours, days, weeks and months', () => {
+    assert.equal(parseRelativeDate('5 hours ago', now), '2026-10-18T07:00:00.000Z');
+    assert.equal(parseRelativeDate('1 day ago', now), '2026-10-17T12:00:00.000Z');
+    assert.equal(parseRelativeDate('Reposted 2 weeks ago', now), '2026-10-04T12:00:00.000Z');
+    assert.equal(parseRelativeDate('3 months ago', now), '2026-07-18T12:00:00.000Z');
+  });
+
+  test('returns null for text it does not understand', () => {
+    assert.equal(parseRelativeDate('Just now', now), null);
+    assert.equal(parseRelativeDate(null, now), null);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, createMetricsRegistry, createScrapeMetrics } from '../lib/metrics.js';
+
+describe('createMetricsRegistry', () => {
+  test('renders counters with escaped labels', async () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter({ name: 'things_total', help: 'Things', labels: ['name'] });
+
+    counter.inc({ name: 'plain' });
+    counter.inc({ name: 'plain' }, 2);
+    counter.inc({ name: 'a "quoted"\\name\n' });
+
+    assert.equal(await registry.render(), [
+      '# HELP things_total Things',
+      '# TYPE things_total counter',
+      'things_total{name="plain"} 3',
+      'things_total{name="a \\"quoted\\"\\\\name\\n"} 1',
+      ''
+    ].join('\n'));
+    assert.throws(() => registry.counter({ name: 'things_total', help: 'Again' }), /already registered/);
+  });
+
+  test('renders cumulative histogram buckets', async () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram({ name: 'wait_seconds', help: 'Waits', buckets: [5, 1] });
+
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+    histogram.observe({}, 10);
+
+    assert.equal(await registry.render(), [
+      '# HELP wait_seconds Waits',
+      '# TYPE wait_seconds histogram',
+      'wait_seconds_bucket{le="1"} 1',
+      'wait_seconds_bucket{le="5"} 2',
+      'wait_seconds_bucket{le="+Inf"} 3',
+      'wait_seconds_sum 13.5',
+      'wait_seconds_count 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('collects gauges afresh on every render', async () => {
+    const registry = createMetricsRegistry();
+    let states = { busy: 2, idle: 1 };
+    registry.gauge({
+      name: 'workers',
+      help: 'Workers',
+      labels: ['state'],
+      collect: (gauge) => Object.entries(states).forEach(([state, count]) => gauge.set({ state }, count))
+    });
+
+    assert.match(await registry.render(), /workers\{state="idle"\} 1/);
+    states = { busy: 3 };
+    const text = await registry.render();
+    assert.match(text, /workers\{state="busy"\} 3/);
+    assert.doesNotMatch(text, /idle/);
+  });
+});
+
+describe('classifyError', () => {
+  test('maps scrape errors to their type', () => {
+    assert.equal(classifyError('Navigation timeout of 20000 ms exceeded'), 'navigation_timeout');
+    assert.equal(classifyError('Redirected away from jobs page to: https://www.linkedin.com/login'), 'redirect');
+    assert.equal(classifyError('No job listings found on page'), 'zero_results');
+    assert.equal(classifyError('Target closed'), 'other');
+  });
+});
+
+describe('createScrapeMetrics', () => {
+  test('counts bulk run events and deliveries', async () => {
+    const metrics = createScrapeMetrics();
+    const pair = { keyword: 'Product Manager', location: 'Berlin', status: 'done', duration: '12.5s' };
+
+    metrics.observeRunEvent({ type: 'jobs_extracted', pair, scraped: 25, new_jobs: 10, duplicates: 15 });
+    metrics.observeRunEvent({ type: 'ingest_result', pair, sinks: { supabase: { status: 'delivered', result: { inserted: 8 } } } });
+    metrics.observeRunEvent({ type: 'error', pair, error: { error: 'No job listings found on page' } });
+    // Counted once, by the delivery hook
+    metrics.observeRunEvent({ type: 'error', pair, error: { type: 'ingest', error: 'sink down' } });
+    metrics.observeDelivery({ sink: 'supabase', kind: 'bulk', seconds: 0.3, error: new Error('sink down') });
+    metrics.observeRunEvent({ type: 'pair_finished', pair });
+    metrics.observeRunEvent({ type: 'pair_finished', pair: { ...pair, location: 'Munich', status: 'failed', duration: '45.0s' } });
+    metrics.observeJobScrape(new Error('Navigation timeout of 20000 ms exceeded'));
+
+    const text = await metrics.registry.render();
+    assert.match(text, /^scraper_jobs_scraped_total\{keyword="Product Manager",location="Berlin"\} 25$/m);
+    assert.match(text, /^scraper_jobs_inserted_total\{keyword="Product Manager",location="Berlin"\} 8$/m);
+    assert.match(text, /^scraper_errors_total\{type="zero_results"\} 1$/m);
+    assert.match(text, /^scraper_errors_total\{type="ingest_failure"\} 1$/m);
+    assert.match(text, /^scraper_errors_total\{type="navigation_timeout"\} 1$/m);
+    assert.match(text, /^scraper_location_duration_seconds_bucket\{location="Berlin",status="done",le="20"\} 1$/m);
+    assert.match(text, /^scraper_location_duration_seconds_bucket\{location="Berlin",status="done",le="10"\} 0$/m);
+    assert.match(text, /^scraper_location_duration_seconds_count\{location="Munich",status="failed"\} 1$/m);
+    assert.match(text, /^scraper_location_duration_seconds_sum\{location="Munich",status="failed"\} 45$/m);
+    assert.match(text, /^scraper_ingest_duration_seconds_count\{sink="supabase",kind="bulk",outcome="failed"\} 1$/m);
+    assert.match(text, /^scraper_job_scrapes_total\{outcome="failed"\} 1$/m);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../lib/rate-limiter.js';
+
+describe('createRateLimiter', () => {
+  test('spaces concurrent callers at least minIntervalMs apart', async () => {
+    const limiter = createRateLimiter({ minIntervalMs: 50 });
+    const times = [];
+
+    await Promise.all([1, 2, 3].map(async () => {
+      await limiter.wait();
+      times.push(Date.now());
+    }));
+
+    times.sort((a, b) => a - b);
+    assert.ok(times[1] - times[0] >= 45, `gap ${times[1] - times[0]}ms`);
+    assert.ok(times[2] - times[1] >= 45, `gap ${times[2] - times[1]}ms`);
+  });
+
+  test('does not delay a call after a quiet period', async () => {
+    const limiter = createRateLimiter({ minIntervalMs: 20 });
+    await limiter.wait();
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const start = Date.now();
+    await limiter.wait();
+    assert.ok(Date.now() - start < 15);
+  });
+});
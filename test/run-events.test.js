@@ -0,0 +1,93 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { RUN_COMPLETE, createRunEvents } from '../lib/run-events.js';
+
+function fakeRequest(headers = {}) {
+  const req = new EventEmitter();
+  req.get = (name) => headers[name];
+  return req;
+}
+
+function fakeResponse() {
+  const res = Object.assign(new EventEmitter(), {
+    headers: null,
+    text: '',
+    ended: false,
+    status: () => res,
+    set: (headers) => { res.headers = headers; return res; },
+    flushHeaders: () => {},
+    write: (chunk) => { res.text += chunk; },
+    end: () => { res.ended = true; }
+  });
+  return res;
+}
+
+// Parses the SSE stream written so far (comments skipped)
+function events(res) {
+  return res.text.split('\n\n').filter(block => block && !block.startsWith(':')).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+describe('createRunEvents', () => {
+  test('replays the log, then streams live events until run_complete', () => {
+    const runEvents = createRunEvents({ heartbeatMs: 60000 });
+    const run = { id: 'run-1' };
+    const pair = { keyword: 'pm', status: 'running' };
+    runEvents.publish(run, 'run_started', { total_pairs: 1 });
+    runEvents.publish(run, 'pair_started', { pair });
+    pair.status = 'done';
+
+    const res = fakeResponse();
+    runEvents.stream(fakeRequest(), res, run);
+    runEvents.publish(run, 'pair_finished', { pair });
+    runEvents.publish(run, RUN_COMPLETE, { status: 'completed' });
+
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.deepEqual(events(res).map(({ id, type }) => [id, type]), [
+      [1, 'run_started'],
+      [2, 'pair_started'],
+      [3, 'pair_finished'],
+      [4, RUN_COMPLETE]
+    ]);
+    // Events are snapshots, not live views of the pair
+    assert.equal(events(res)[1].data.pair.status, 'running');
+    assert.equal(events(res)[0].data.run_id, 'run-1');
+    assert.equal(res.ended, true);
+  });
+
+  test('resumes after Last-Event-ID and ends right away for finished runs', () => {
+    const runEvents = createRunEvents();
+    const run = { id: 'run-2' };
+    ['run_started', 'pair_started', 'pair_finished', RUN_COMPLETE].forEach(type => runEvents.publish(run, type));
+
+    const res = fakeResponse();
+    runEvents.stream(fakeRequest({ 'Last-Event-ID': '2' }), res, run);
+
+    assert.deepEqual(events(res).map(({ type }) => type), ['pair_finished', RUN_COMPLETE]);
+    assert.equal(res.ended, true);
+  });
+
+  test('stops streaming when the client disconnects', () => {
+    const runEvents = createRunEvents({ heartbeatMs: 60000 });
+    const run = { id: 'run-3' };
+    const res = fakeResponse();
+
+    runEvents.stream(fakeRequest(), res, run);
+    res.emit('close');
+    runEvents.publish(run, 'pair_started');
+
+    assert.equal(res.ended, true);
+    assert.deepEqual(events(res), []);
+  });
+
+  test('keeps the first event when the log is full', () => {
+    const runEvents = createRunEvents({ maxEvents: 3 });
+    const run = { id: 'run-4' };
+    ['run_queued', 'a', 'b', 'c', 'd'].forEach(type => runEvents.publish(run, type));
+
+    assert.deepEqual(run.events.map(({ id, type }) => [id, type]), [[1, 'run_queued'], [4, 'c'], [5, 'd']]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, validationErrorBody } from '../lib/schema.js';
+
+const schema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] }, uniqueItems: true },
+    size: { type: 'number', minimum: 0 },
+    id: {
+      anyOf: [{ type: 'integer' }, { type: 'string', pattern: '^\\d+$' }],
+      errorMessage: 'must be a numeric id'
+    },
+    pair: { type: 'array', prefixItems: [{ type: 'string' }, { type: 'integer' }], minItems: 2, maxItems: 2 },
+    meta: { type: 'object', additionalProperties: { type: 'boolean' } },
+    link: { type: 'string', format: 'uri' }
+  },
+  additionalProperties: false
+};
+
+describe('validate', () => {
+  test('accepts a valid value', () => {
+    assert.deepEqual(validate(schema, {
+      name: 'x',
+      tags: ['a', 'b'],
+      size: 1.5,
+      id: '42',
+      pair: ['x', 1],
+      meta: { on: true },
+      link: 'https://example.com/'
+    }), []);
+  });
+
+  test('reports every problem with its field path', () => {
+    assert.deepEqual(validate(schema, {
+      tags: ['a', 'c', 'a'],
+      size: -1,
+      pair: ['x', 'y'],
+      meta: { on: 'yes' },
+      link: '/relative',
+      extra: 1
+    }), [
+      { field: 'name', message: 'name is required' },
+      { field: 'tags', message: 'tags must not contain duplicates' },
+      { field: 'tags[1]', message: 'tags[1] must be one of: a, b' },
+      { field: 'size', message: 'size must be at least 0' },
+      { field: 'pair[1]', message: 'pair[1] must be an integer' },
+      { field: 'meta.on', message: 'meta.on must be a boolean' },
+      { field: 'link', message: 'link must be an absolute URL' },
+      { field: 'extra', message: 'extra is not a known field' }
+    ]);
+  });
+
+  test('reports anyOf problems from the branch matching the type', () => {
+    assert.deepEqual(validate(schema, { name: 'x', id: 'abc' }), [
+      { field: 'id', message: 'id must match ^\\d+$' }
+    ]);
+    assert.deepEqual(validate(schema, { name: 'x', id: true }), [
+      { field: 'id', message: 'id must be a numeric id' }
+    ]);
+  });
+
+  test('names the body when it has the wrong type', () => {
+    assert.deepEqual(validate(schema, []), [{ field: '', message: 'body must be an object' }]);
+  });
+});
+
+describe('validationErrorBody', () => {
+  test('summarizes the problems in one line', () => {
+    assert.deepEqual(validationErrorBody([
+      { field: 'a', message: 'a is required' },
+      { field: 'b', message: 'b must be a string' }
+    ]), {
+      error: 'a is required; b must be a string',
+      errors: [
+        { field: 'a', message: 'a is required' },
+        { field: 'b', message: 'b must be a string' }
+      ]
+    });
+  });
+});
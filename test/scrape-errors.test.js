@@ -0,0 +1,75 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers/app.js';
+
+// Chrome can't start here, so every scrape fails at launch. This covers the
+// failure paths (500s, failed bulk jobs, Telegram alerts) on any machine.
+
+let app;
+
+before(async () => {
+  app = await startTestApp({ PUPPETEER_EXECUTABLE_PATH: '/nonexistent/chrome' });
+});
+
+after(async () => {
+  await app.close();
+});
+
+describe('POST /scrape failures', () => {
+  test('500 with the error when the browser fails to launch', async () => {
+    app.stub.reset();
+    const url = 'https://www.linkedin.com/jobs/view/4012345678';
+    const { status, body } = await app.request('POST', '/scrape', { body: { url, user_id: 'user-1' } });
+
+    assert.equal(status, 500);
+    assert.equal(typeof body.error, 'string');
+    assert.ok(body.error.length > 0);
+    assert.equal(typeof body.details, 'string');
+
+    assert.equal(app.stub.requestsFor('POST /functions/v1/ingest-job').length, 0);
+
+    const alerts = app.stub.requestsFor('POST /bot/sendMessage');
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].body.chat_id, '42');
+    assert.ok(alerts[0].body.text.includes(`/scrape endpoint - URL: ${url}`));
+  });
+
+  test('a failing Telegram API does not change the response', async () => {
+    app.stub.reset();
+    app.stub.respondWith('POST /bot/sendMessage', 500, { ok: false });
+
+    const { status } = await app.request('POST', '/scrape', {
+      body: { url: 'https://www.linkedin.com/jobs/view/4012345678', user_id: 'user-1' }
+    });
+
+    assert.equal(status, 500);
+    assert.equal(app.stub.requestsFor('POST /bot/sendMessage').length, 1);
+  });
+});
+
+describe('POST /bulk-scrape failures', () => {
+  test('accepts the job, then marks it failed and alerts', async () => {
+    app.stub.reset();
+    const accepted = await app.request('POST', '/bulk-scrape', {
+      body: { keywords: ['Product Manager'], locations: { Berlin: '106967730' } }
+    });
+
+    assert.equal(accepted.status, 202);
+    assert.equal(accepted.body.success, true);
+    assert.equal(accepted.body.status, 'queued');
+    assert.equal(accepted.body.status_url, `${app.baseUrl}/bulk-scrape/${accepted.body.job_id}`);
+
+    const job = await app.waitForBulkJob(accepted.body.job_id);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(typeof job.error, 'string');
+    assert.equal(job.provider, 'linkedin');
+    assert.deepEqual(job.keywords, ['Product Manager']);
+    assert.deepEqual(job.locations, ['Berlin']);
+    assert.equal(job.progress.total_pairs, 1);
+    assert.equal(job.total_scraped, 0);
+
+    assert.equal(app.stub.requestsFor('POST /functions/v1/ingest-scraped-jobs').length, 0);
+    assert.ok(app.stub.requestsFor('POST /bot/sendMessage').length >= 1);
+  });
+});
@@ -0,0 +1,87 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createSeenJobs } from '../lib/seen-jobs.js';
+
+const HOUR = 60 * 60 * 1000;
+const logger = { log() {}, info() {}, warn() {}, error() {} };
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'seen-jobs-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('createSeenJobs', () => {
+  test('claims new keys once and reports repeats as duplicates', async () => {
+    const seen = createSeenJobs({ filePath: path.join(dir, 'claim.json'), ttlMs: HOUR, logger });
+    await seen.load();
+
+    assert.deepEqual(seen.claim(['linkedin:1', 'linkedin:2']), { fresh: ['linkedin:1', 'linkedin:2'], duplicates: [] });
+    assert.deepEqual(seen.claim(['linkedin:2', 'linkedin:3']), { fresh: ['linkedin:3'], duplicates: ['linkedin:2'] });
+  });
+
+  test('force claims everything again', async () => {
+    const seen = createSeenJobs({ filePath: path.join(dir, 'force.json'), ttlMs: HOUR, logger });
+    await seen.load();
+    seen.claim(['linkedin:1']);
+
+    assert.deepEqual(seen.claim(['linkedin:1'], { force: true }), { fresh: ['linkedin:1'], duplicates: [] });
+  });
+
+  test('check reports duplicates without claiming', async () => {
+    const seen = createSeenJobs({ filePath: path.join(dir, 'check.json'), ttlMs: HOUR, logger });
+    await seen.load();
+    seen.claim(['linkedin:1']);
+
+    assert.deepEqual(seen.check(['linkedin:1', 'linkedin:2']), { fresh: ['linkedin:2'], duplicates: ['linkedin:1'] });
+    assert.deepEqual(seen.claim(['linkedin:2']).fresh, ['linkedin:2']);
+  });
+
+  test('released keys can be claimed again', async () => {
+    const seen = createSeenJobs({ filePath: path.join(dir, 'release.json'), ttlMs: HOUR, logger });
+    await seen.load();
+    seen.claim(['linkedin:1']);
+    seen.release(['linkedin:1']);
+
+    assert.deepEqual(seen.claim(['linkedin:1']).fresh, ['linkedin:1']);
+  });
+
+  test('persists claims and drops entries past the TTL on load', async () => {
+    const filePath = path.join(dir, 'persist.json');
+    await fs.writeFile(filePath, JSON.stringify({
+      'linkedin:old': Date.now() - 2 * HOUR,
+      'linkedin:recent': Date.now() - HOUR / 2
+    }));
+
+    const seen = createSeenJobs({ filePath, ttlMs: HOUR, logger });
+    await seen.load();
+    assert.equal(seen.stats().size, 1);
+    seen.claim(['linkedin:new']);
+    await seen.save();
+
+    const restarted = createSeenJobs({ filePath, ttlMs: HOUR, logger });
+    await restarted.load();
+    assert.deepEqual(restarted.claim(['linkedin:old', 'linkedin:recent', 'linkedin:new']), {
+      fresh: ['linkedin:old'],
+      duplicates: ['linkedin:recent', 'linkedin:new']
+    });
+    assert.deepEqual(restarted.stats(), { size: 3, ttl_hours: 1 });
+  });
+
+  test('a corrupt cache file starts empty', async () => {
+    const filePath = path.join(dir, 'corrupt.json');
+    await fs.writeFile(filePath, '{not json');
+
+    const seen = createSeenJobs({ filePath, ttlMs: HOUR, logger });
+    await seen.load();
+
+    assert.equal(seen.stats().size, 0);
+  });
+});
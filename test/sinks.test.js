@@ -0,0 +1,193 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createFileSink,
+  createSinkRegistry,
+  createStdoutSink,
+  createSupabaseSink,
+  createWebhookSink,
+  deriveBulkIngestUrl,
+  signWebhookBody
+} from '../lib/sinks/index.js';
+import { startStubServer } from './helpers/stub-server.js';
+
+const logger = { log() {}, info() {}, warn() {}, error() {} };
+
+const batch = {
+  kind: 'bulk',
+  context: { run_id: 'run-1', keyword: 'Product Manager', location: 'Berlin' },
+  jobs: [
+    { job_id: '1', job_title: 'PM, Payments', skills: ['SQL', 'Go'], scrape_metadata: { keyword: 'Product Manager' } },
+    { job_id: '2', job_title: 'Says "hi"', skills: [], scrape_metadata: { keyword: 'Product Manager' } }
+  ]
+};
+
+let stub;
+let dir;
+
+before(async () => {
+  stub = await startStubServer();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sinks-test-'));
+});
+
+after(async () => {
+  await stub.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('deriveBulkIngestUrl', () => {
+  test('swaps only the last path segment', () => {
+    assert.equal(
+      deriveBulkIngestUrl('https://abc.supabase.co/functions/v1/ingest-job'),
+      'https://abc.supabase.co/functions/v1/ingest-scraped-jobs'
+    );
+    assert.equal(
+      deriveBulkIngestUrl('https://proxy.example.com/ingest-job-v2/ingest-job/'),
+      'https://proxy.example.com/ingest-job-v2/ingest-scraped-jobs'
+    );
+  });
+
+  test('returns null for URLs it cannot derive from', () => {
+    assert.equal(deriveBulkIngestUrl('https://example.com/hooks/jobs'), null);
+    assert.equal(deriveBulkIngestUrl('not a url'), null);
+  });
+});
+
+describe('supabase sink', () => {
+  test('posts bulk batches and single jobs to their functions', async () => {
+    stub.reset();
+    const sink = createSupabaseSink({
+      ingestJobUrl: `${stub.url}/functions/v1/ingest-job`,
+      serviceRoleKey: 'key',
+      logger
+    });
+
+    assert.deepEqual(await sink.deliver(batch), { success: true, inserted: 2 });
+    await sink.deliver({ kind: 'job', jobs: [{ external_id: '9', title: 'PM' }], context: {} });
+
+    const [bulk] = stub.requestsFor('POST /functions/v1/ingest-scraped-jobs');
+    assert.deepEqual(bulk.body, { jobs: batch.jobs });
+    assert.equal(bulk.headers.authorization, 'Bearer key');
+    const [single] = stub.requestsFor('POST /functions/v1/ingest-job');
+    assert.deepEqual(single.body, { external_id: '9', title: 'PM' });
+  });
+
+  test('previews the request without sending it', () => {
+    stub.reset();
+    const sink = createSupabaseSink({ ingestJobUrl: `${stub.url}/functions/v1/ingest-job`, serviceRoleKey: 'key', logger });
+
+    assert.deepEqual(sink.preview(batch), {
+      method: 'POST',
+      url: `${stub.url}/functions/v1/ingest-scraped-jobs`,
+      body: { jobs: batch.jobs }
+    });
+    assert.deepEqual(sink.preview({ kind: 'job', jobs: [{ title: 'PM' }], context: {} }).url, `${stub.url}/functions/v1/ingest-job`);
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('reports missing configuration', () => {
+    const sink = createSupabaseSink({ ingestJobUrl: 'https://example.com/hooks/jobs', serviceRoleKey: undefined });
+    assert.deepEqual(sink.problems, [
+      'INGEST_BULK_URL not set and not derivable from INGEST_JOB_URL',
+      'SUPABASE_SERVICE_ROLE_KEY not set'
+    ]);
+  });
+});
+
+describe('webhook sink', () => {
+  test('posts a signed batch', async () => {
+    stub.reset();
+    const sink = createWebhookSink({ url: `${stub.url}/webhook`, secret: 's3cret', logger });
+
+    assert.deepEqual(await sink.deliver(batch), { status: 200, delivered: 2 });
+
+    const [request] = stub.requestsFor('POST /webhook');
+    assert.deepEqual(request.body, batch);
+    const timestamp = request.headers['x-scraper-timestamp'];
+    assert.equal(
+      request.headers['x-scraper-signature'],
+      signWebhookBody('s3cret', timestamp, JSON.stringify(request.body))
+    );
+  });
+
+  test('throws when the receiver rejects the batch', async () => {
+    stub.reset();
+    stub.respondWith('POST /webhook', 400, { error: 'bad' });
+    const sink = createWebhookSink({ url: `${stub.url}/webhook`, logger });
+
+    await assert.rejects(sink.deliver(batch), /^Error: Webhook rejected jobs: 400/);
+    assert.equal(stub.requestsFor('POST /webhook')[0].headers['x-scraper-signature'], undefined);
+  });
+});
+
+describe('file sink', () => {
+  const today = new Date().toISOString().slice(0, 10);
+
+  test('appends NDJSON lines', async () => {
+    const sink = createFileSink({ dir: path.join(dir, 'ndjson'), logger });
+
+    await sink.deliver(batch);
+    const result = await sink.deliver(batch);
+
+    assert.equal(result.file, path.join(dir, 'ndjson', `bulk-${today}.ndjson`));
+    const lines = (await fs.readFile(result.file, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 4);
+    assert.deepEqual(JSON.parse(lines[0]), batch.jobs[0]);
+  });
+
+  test('writes CSV with one header and flattened, quoted cells', async () => {
+    const sink = createFileSink({ dir: path.join(dir, 'csv'), format: 'csv', logger });
+
+    await Promise.all([sink.deliver(batch), sink.deliver(batch)]);
+
+    const content = await fs.readFile(path.join(dir, 'csv', `bulk-${today}.csv`), 'utf8');
+    assert.deepEqual(content.trim().split('\n'), [
+      'job_id,job_title,skills,scrape_metadata.keyword',
+      '1,"PM, Payments",SQL; Go,Product Manager',
+      '2,"Says ""hi""",,Product Manager',
+      '1,"PM, Payments",SQL; Go,Product Manager',
+      '2,"Says ""hi""",,Product Manager'
+    ]);
+  });
+
+  test('rejects unknown formats', () => {
+    assert.deepEqual(createFileSink({ dir, format: 'xml' }).problems, ['SINK_FILE_FORMAT must be one of: ndjson, csv']);
+  });
+});
+
+describe('stdout sink', () => {
+  test('writes one JSON line per job', async () => {
+    let output = '';
+    const sink = createStdoutSink({ stream: { write: (chunk) => { output += chunk; } } });
+
+    await sink.deliver(batch);
+
+    const lines = output.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.job.job_id), ['1', '2']);
+    assert.deepEqual(lines[0].context, batch.context);
+  });
+});
+
+describe('createSinkRegistry', () => {
+  const registry = createSinkRegistry([
+    createStdoutSink(),
+    createWebhookSink({ url: undefined })
+  ]);
+
+  test('lists sinks with their configuration state', () => {
+    assert.deepEqual(registry.list(), [
+      { name: 'stdout', description: 'NDJSON lines on standard output', configured: true, problems: undefined },
+      { name: 'webhook', description: 'Signed JSON POST to WEBHOOK_URL', configured: false, problems: ['WEBHOOK_URL not set'] }
+    ]);
+  });
+
+  test('validates sink names', () => {
+    assert.equal(registry.validate(['stdout']), null);
+    assert.equal(registry.validate(['webhook']), 'Sink "webhook" is not configured: WEBHOOK_URL not set');
+    assert.equal(registry.validate(['s3']), 'Unknown sink: s3 (available: stdout, webhook)');
+    assert.equal(registry.validate('stdout'), 'Invalid sinks (must be a non-empty array of sink names)');
+  });
+});